@@ -78,6 +78,7 @@ describe('Core Action Tests', () => {
     const validContext = {
       eventName: 'pull_request',
       payload: {
+        action: 'closed',
         pull_request: {
           merged: true,
           labels: [{ name: 'release-notes' }],
@@ -91,10 +92,10 @@ describe('Core Action Tests', () => {
     expect(validResult.reason).toBe('All conditions met');
     
     // Test invalid event
-    const invalidContext = { eventName: 'push' };
+    const invalidContext = { eventName: 'issues' };
     const invalidResult = await checkTriggerConditions(config, invalidContext);
     expect(invalidResult.run).toBe(false);
-    expect(invalidResult.reason).toBe('Not a pull request event');
+    expect(invalidResult.reason).toBe('Unsupported event: issues');
     
     // Test unmerged PR
     const unmergedContext = {
@@ -111,5 +112,1636 @@ describe('Core Action Tests', () => {
     const unmergedResult = await checkTriggerConditions(config, unmergedContext);
     expect(unmergedResult.run).toBe(false);
     expect(unmergedResult.reason).toBe('PR is not merged');
+    
+    // Editing a merged PR afterwards must not release it again
+    const editedContext = { ...validContext, payload: { ...validContext.payload, action: 'edited' } };
+    expect(await checkTriggerConditions({ ...config, isPreviewEnabled: true }, editedContext))
+      .toEqual({ run: false, reason: 'PR is already merged, ignoring edited activity' });
+  });
+
+  test('push mode trigger and analysis conditions', async () => {
+    const { checkTriggerConditions, checkAnalysisConditions } = require('../src/main');
+    
+    const config = {
+      inputs: {
+        triggerLabel: 'release-notes',
+        targetBranch: 'main'
+      }
+    };
+    
+    const branchPush = { eventName: 'push', payload: { ref: 'refs/heads/main' } };
+    expect((await checkTriggerConditions(config, branchPush)).run).toBe(true);
+    
+    const tagPush = { eventName: 'push', payload: { ref: 'refs/tags/v1.2.3' } };
+    expect((await checkTriggerConditions(config, tagPush)).run).toBe(false);
+    
+    const featurePush = { eventName: 'push', payload: { ref: 'refs/heads/feature/x' } };
+    const featureResult = await checkTriggerConditions(config, featurePush);
+    expect(featureResult.run).toBe(false);
+    expect(featureResult.reason).toBe('Target branch feature/x not in allowed list');
+    
+    // Labels are only known after the associated PRs are resolved
+    const labelled = { commits: [{ sha: 'abc' }], analysis: { labels: ['release-notes'] } };
+    const unlabelled = { commits: [{ sha: 'abc' }], analysis: { labels: [] } };
+    const empty = { commits: [], analysis: { labels: ['release-notes'] } };
+    
+    expect(checkAnalysisConditions(config, branchPush, labelled).run).toBe(true);
+    expect(checkAnalysisConditions(config, branchPush, unlabelled).run).toBe(false);
+    expect(checkAnalysisConditions(config, branchPush, empty).reason).toBe('No commits since the last release');
+  });
+
+  test('a push of an already tagged commit finds no commits since the release', async () => {
+    const exec = require('@actions/exec');
+    const GitUtils = require('../src/utils/git');
+    const gitUtils = new GitUtils({ inputs: { maxCommitsFallback: 3 } });
+    
+    // HEAD sits on v1.1.0, so the range is empty and older history must not be picked up
+    exec.exec.mockReset();
+    exec.exec.mockImplementation(async (cmd, args, options) => {
+      if (!args.includes('v1.1.0..HEAD')) {
+        options.listeners.stdout(Buffer.from(['a1', 'p1', 'Dev', 'dev@x', '2024-01-01', 'feat: already released\n'].join('\0')));
+      }
+      return 0;
+    });
+    
+    expect(await gitUtils.getCommitsSinceTag('v1.1.0')).toEqual([]);
+    expect(exec.exec).toHaveBeenCalledTimes(1);
+    
+    // Before the first release the most recent commits stand in
+    exec.exec.mockClear();
+    expect(await gitUtils.getCommitsSinceTag(null)).toHaveLength(1);
+    expect(exec.exec.mock.calls[0][1]).toContain('-3');
+    
+    exec.exec.mockReset();
+  });
+
+  test('pr analyzer aggregates PRs from a commit range', () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const analyzer = new PRAnalyzer({ inputs: {} }, 'test-token');
+    analyzer.context = { ...analyzer.context, ref: 'refs/heads/main', payload: { pusher: { name: 'pusher' } } };
+    
+    const single = { number: 1, title: 'Add OAuth login', labels: [] };
+    expect(analyzer.buildAggregatePR([single])).toBe(single);
+    
+    const aggregate = analyzer.buildAggregatePR([
+      { number: 1, title: 'feat: add OAuth login', body: 'Login flow', labels: [{ name: 'feature' }], user: { login: 'a' } },
+      { number: 2, title: 'fix: crash on logout', labels: [{ name: 'bug' }, { name: 'feature' }], user: { login: 'b' } }
+    ]);
+    
+    expect(aggregate.title).toBe('Changes from 2 pull requests');
+    expect(aggregate.labels.map(l => l.name)).toEqual(['feature', 'bug']);
+    expect(aggregate.base.ref).toBe('main');
+    expect(aggregate.body).toContain('#2 fix: crash on logout (@b)');
+    
+    const commit = analyzer.toPRCommit({ hash: 'abcdef1234', shortHash: 'abcdef1', message: 'feat: x', subject: 'feat: x', author: 'A', email: 'a@x', date: '2024-01-01' });
+    expect(commit.url).toBe('https://github.com/test-owner/test-repo/commit/abcdef1234');
+    expect(commit.message).toBe('feat: x');
+  });
+
+  test('dispatch mode analyzes an explicit commit range', async () => {
+    const exec = require('@actions/exec');
+    const GitUtils = require('../src/utils/git');
+    const { checkTriggerConditions, checkAnalysisConditions } = require('../src/main');
+    
+    const config = { inputs: { triggerLabel: 'release-notes', targetBranch: 'main' } };
+    const dispatch = { eventName: 'workflow_dispatch', payload: {} };
+    
+    expect((await checkTriggerConditions(config, dispatch)).run).toBe(true);
+    expect(checkAnalysisConditions(config, dispatch, { commits: [{}], analysis: { labels: [] } }).run).toBe(true);
+    expect(checkAnalysisConditions(config, dispatch, { commits: [], analysis: { labels: [] } }).reason)
+      .toBe('No commits in the requested range');
+    
+    const gitUtils = new GitUtils({ inputs: {} });
+    
+    exec.exec.mockImplementationOnce(async (cmd, args, options) => {
+      expect(args).toContain('v2.3.0..v2.4.0');
+      options.listeners.stdout(Buffer.from(['abcdef1234', 'parent1', 'Dev', 'dev@x', '2024-01-01', 'fix: handle empty range\n'].join('\0')));
+      return 0;
+    });
+    const commits = await gitUtils.getCommitsInRange('v2.3.0', 'v2.4.0');
+    expect(commits).toHaveLength(1);
+    expect(commits[0].shortHash).toBe('abcdef1');
+    
+    exec.exec.mockImplementationOnce(async (cmd, args, options) => {
+      options.listeners.stderr(Buffer.from('fatal: bad revision'));
+      return 128;
+    });
+    await expect(gitUtils.getCommitsInRange('nope', 'HEAD')).rejects.toThrow('fatal: bad revision');
+  });
+
+  test('a range ending before HEAD is tagged, released and resumed at its end', async () => {
+    const exec = require('@actions/exec');
+    const GitUtils = require('../src/utils/git');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const VersionManager = require('../src/modules/versioning');
+    const GitHubReleaseManager = require('../src/modules/github-release');
+    const ReleaseJournal = require('../src/utils/journal');
+    const { getReleaseCommits, secureReleaseTag } = require('../src/main');
+    
+    const gitUtils = {
+      getLatestTag: jest.fn(async () => 'v2.5.0'),
+      resolveCommit: jest.fn(async ref => (ref === 'v2.4.0' ? 'sha240' : 'unknown')),
+      getCommitsInRange: jest.fn(async () => [{ hash: 'sha240', shortHash: 'sha240', message: 'fix: x', subject: 'fix: x', trailers: [], parents: ['p1'] }]),
+      getTagsPointingAt: jest.fn(async sha => (sha === 'sha240' ? ['v2.4.0'] : sha === 'head-sha' ? ['v2.5.0'] : [])),
+      tagExists: jest.fn(async () => false),
+      createTag: jest.fn(async () => true),
+      pushNewTag: jest.fn(async () => ({ pushed: true }))
+    };
+    
+    const analyzer = new PRAnalyzer({ inputs: {} }, 'test-token');
+    analyzer.context = { ...analyzer.context, sha: 'head-sha' };
+    analyzer.getAssociatedPRs = jest.fn(async () => []);
+    analyzer.getCompareDiff = jest.fn(async () => '');
+    analyzer.getLinkedIssues = jest.fn(async () => []);
+    analyzer.getContributors = jest.fn(async () => []);
+    analyzer.saveAnalysisFiles = jest.fn();
+    
+    const prAnalysis = await analyzer.analyzeRange(gitUtils, 'v2.3.0', 'v2.4.0');
+    expect(gitUtils.getCommitsInRange).toHaveBeenCalledWith('v2.3.0', 'sha240');
+    expect(prAnalysis.targetSha).toBe('sha240');
+    
+    // The existing v2.4.0 is found, not the v2.5.0 on the dispatch commit
+    const releaseCommits = getReleaseCommits({ sha: 'head-sha' }, prAnalysis);
+    expect(releaseCommits).toEqual(['sha240']);
+    const vm = new VersionManager({ inputs: { versionPrefix: 'v' } }, { ...gitUtils, getLatestTag: jest.fn(async () => 'v2.3.0') });
+    expect(await vm.findReleasedVersion(releaseCommits)).toMatchObject({ tagName: 'v2.4.0', previousVersion: 'v2.3.0', resumed: true });
+    
+    const target = {
+      pkg: null,
+      prAnalysis,
+      versionInfo: { newVersion: '2.4.1', tagName: 'v2.4.1' },
+      releaseNotes: { releaseNotes: 'Notes' }
+    };
+    await secureReleaseTag(target, { config: { inputs: { tagMaxAttempts: 1 } }, gitUtils, journal: new ReleaseJournal() });
+    expect(gitUtils.createTag).toHaveBeenCalledWith('v2.4.1', 'Release v2.4.1\n\nNotes', 'sha240');
+    
+    const releaseManager = new GitHubReleaseManager({ isProductionEnvironment: true, inputs: { environment: 'PROD' } }, 'test-token');
+    const releaseData = await releaseManager.buildReleaseData({ releaseNotes: 'Notes' }, target.versionInfo, prAnalysis);
+    expect(releaseData.target_commitish).toBe('sha240');
+    
+    exec.exec.mockClear();
+    await new GitUtils({ inputs: {} }).createTag('v2.4.1', 'Release v2.4.1', 'sha240');
+    expect(exec.exec).toHaveBeenCalledWith('git', ['tag', '-a', 'v2.4.1', '-m', 'Release v2.4.1', 'sha240']);
+    
+    exec.exec.mockImplementationOnce(async (cmd, args, options) => {
+      options.listeners.stdout(Buffer.from('sha240\n'));
+      return 0;
+    });
+    expect(await new GitUtils({ inputs: {} }).resolveCommit('v2.4.0')).toBe('sha240');
+    exec.exec.mockImplementationOnce(async () => 1);
+    await expect(new GitUtils({ inputs: {} }).resolveCommit('nope')).rejects.toThrow('Failed to resolve nope to a commit');
+  });
+
+  test('preview mode for open pull requests', async () => {
+    const { checkTriggerConditions } = require('../src/main');
+    const PreviewCommentManager = require('../src/modules/preview-comment');
+    
+    const openContext = {
+      eventName: 'pull_request',
+      payload: {
+        action: 'synchronize',
+        pull_request: {
+          merged: false,
+          labels: [],
+          base: { ref: 'main' }
+        }
+      }
+    };
+    
+    const disabled = { isPreviewEnabled: false, inputs: { targetBranch: 'main' } };
+    expect((await checkTriggerConditions(disabled, openContext)).reason).toBe('PR is not merged');
+    
+    const enabled = { isPreviewEnabled: true, inputs: { targetBranch: 'main' } };
+    expect(await checkTriggerConditions(enabled, openContext)).toEqual({ run: true, reason: 'All conditions met', mode: 'preview' });
+    
+    const closedContext = { ...openContext, payload: { ...openContext.payload, action: 'closed' } };
+    expect((await checkTriggerConditions(enabled, closedContext)).run).toBe(false);
+    
+    const manager = new PreviewCommentManager(enabled, 'test-token');
+    const body = manager.buildCommentBody(
+      { releaseNotes: '## v1.2.4\n- Added OAuth', slackMessage: 'Deployed v1.2.4', aiGenerated: true },
+      { tagName: 'v1.2.4', previousVersion: 'v1.2.3' },
+      { number: 123, pr: { head: { sha: 'abcdef123456' } } }
+    );
+    
+    expect(body.startsWith(PreviewCommentManager.COMMENT_MARKER)).toBe(true);
+    expect(body).toContain('Projected version **v1.2.4** (previous: v1.2.3) · AI generated');
+    expect(body).toContain(`${PreviewCommentManager.NOTES_START_MARKER}\n## v1.2.4\n- Added OAuth\n${PreviewCommentManager.NOTES_END_MARKER}`);
+    expect(body).toContain('Preview for abcdef1.');
+  });
+
+  test('only the action\'s own comment is taken for the preview', async () => {
+    const PreviewCommentManager = require('../src/modules/preview-comment');
+    
+    const marker = PreviewCommentManager.COMMENT_MARKER;
+    const spoofed = { id: 1, body: `${marker}\nFake notes`, user: { login: 'mallory', type: 'User' } };
+    const own = { id: 2, body: `${marker}\nPreview`, user: { login: 'github-actions[bot]', type: 'Bot' } };
+    
+    const manager = new PreviewCommentManager({}, 'test-token');
+    const issues = {
+      listComments: jest.fn(),
+      updateComment: jest.fn(async () => ({ data: { html_url: 'https://x/c/2' } })),
+      createComment: jest.fn(async () => ({ data: { html_url: 'https://x/c/3' } }))
+    };
+    const users = { getAuthenticated: jest.fn(async () => { throw Object.assign(new Error('Resource not accessible by integration'), { status: 403 }); }) };
+    let comments = [spoofed, own];
+    manager.octokit = { rest: { issues, users }, paginate: jest.fn(async () => comments) };
+    
+    // GITHUB_TOKEN cannot look itself up, its comments come from the github-actions bot, not any bot
+    const otherApp = { id: 6, body: `${marker}\nBump lodash`, user: { login: 'dependabot[bot]', type: 'Bot' } };
+    comments = [spoofed, otherApp, own];
+    expect(await manager.findPreviewComment(123)).toBe(own);
+    comments = [otherApp];
+    expect(await manager.findPreviewComment(123)).toBeNull();
+    
+    // A marker in someone else's comment is neither updated nor read
+    comments = [spoofed];
+    await manager.upsertPreviewComment({ releaseNotes: '- Real notes', slackMessage: '' }, { tagName: 'v1.0.0' }, { number: 123 });
+    expect(issues.updateComment).not.toHaveBeenCalled();
+    expect(issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 123 }));
+    
+    // With a personal access token only that user's comments count, even among bots
+    const patManager = new PreviewCommentManager({}, 'test-token');
+    const otherBot = { id: 4, body: marker, user: { login: 'other-app[bot]', type: 'Bot' } };
+    const patOwn = { id: 5, body: marker, user: { login: 'release-user', type: 'User' } };
+    patManager.octokit = {
+      rest: { issues, users: { getAuthenticated: jest.fn(async () => ({ data: { login: 'release-user' } })) } },
+      paginate: jest.fn(async () => [spoofed, otherBot, patOwn])
+    };
+    expect(await patManager.findPreviewComment(123)).toBe(patOwn);
+  });
+
+  test('edited preview notes are only used from the PR author or users with write access', async () => {
+    const PreviewCommentManager = require('../src/modules/preview-comment');
+    
+    const manager = new PreviewCommentManager({}, 'test-token');
+    const generated = manager.buildCommentBody(
+      { releaseNotes: '- Added OAuth', slackMessage: 'Deployed', aiGenerated: true },
+      { tagName: 'v1.2.4', previousVersion: 'v1.2.3' },
+      { number: 123 }
+    );
+    const comment = {
+      id: 2,
+      node_id: 'IC_2',
+      html_url: 'https://x/c/2',
+      body: generated.replace('- Added OAuth', '- Added OAuth for everyone'),
+      user: { login: 'github-actions[bot]', type: 'Bot' }
+    };
+    
+    let editor = 'author';
+    const permissions = { maintainer: 'write', visitor: 'read' };
+    const getCollaboratorPermissionLevel = jest.fn(async ({ username }) => ({ data: { permission: permissions[username] || 'none' } }));
+    manager.octokit = {
+      rest: {
+        issues: { listComments: jest.fn() },
+        users: { getAuthenticated: jest.fn(async () => { throw new Error('403'); }) },
+        repos: { getCollaboratorPermissionLevel }
+      },
+      paginate: jest.fn(async () => [comment]),
+      graphql: jest.fn(async (query, { id }) => ({ node: id === 'IC_2' && editor ? { editor: { login: editor } } : null }))
+    };
+    
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBe('- Added OAuth for everyone');
+    expect(getCollaboratorPermissionLevel).not.toHaveBeenCalled();
+    
+    editor = 'maintainer';
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBe('- Added OAuth for everyone');
+    
+    editor = 'visitor';
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBeNull();
+    
+    // Without a known editor the edit cannot be authorized
+    editor = null;
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBeNull();
+    
+    // A failed permission lookup keeps the generated notes
+    editor = 'maintainer';
+    getCollaboratorPermissionLevel.mockRejectedValueOnce(new Error('HTTP 502'));
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBeNull();
+  });
+
+  test('an edited preview survives later pushes and is used at merge', async () => {
+    const PreviewCommentManager = require('../src/modules/preview-comment');
+    
+    const manager = new PreviewCommentManager({}, 'test-token');
+    const comment = { id: 2, node_id: 'IC_2', html_url: 'https://x/c/2', user: { login: 'github-actions[bot]', type: 'Bot' } };
+    let editor = null;
+    const updateComment = jest.fn(async ({ body }) => {
+      comment.body = body;
+      editor = 'github-actions';
+      return { data: { html_url: comment.html_url } };
+    });
+    manager.octokit = {
+      rest: {
+        issues: { listComments: jest.fn(), updateComment, createComment: jest.fn() },
+        users: { getAuthenticated: jest.fn(async () => { throw new Error('403'); }) },
+        repos: { getCollaboratorPermissionLevel: jest.fn(async () => ({ data: { permission: 'none' } })) }
+      },
+      paginate: jest.fn(async () => [comment]),
+      graphql: jest.fn(async () => ({ node: editor ? { editor: { login: editor } } : null }))
+    };
+    
+    // opened: the action posts the generated notes
+    comment.body = manager.buildCommentBody(
+      { releaseNotes: '- Added OAuth', slackMessage: 'Deployed', aiGenerated: true },
+      { tagName: 'v1.2.4', previousVersion: 'v1.2.3' },
+      { number: 123 }
+    );
+    
+    // The author corrects the notes in the browser
+    comment.body = comment.body.replace('- Added OAuth', '- Added OAuth for everyone');
+    editor = 'author';
+    
+    // synchronize: regenerated notes must not replace the edit or take over as editor
+    const refreshed = await manager.upsertPreviewComment(
+      { releaseNotes: '- Regenerated', slackMessage: 'Deployed', aiGenerated: true },
+      { tagName: 'v1.2.4', previousVersion: 'v1.2.3' },
+      { number: 123 }
+    );
+    expect(refreshed).toEqual({ posted: true, updated: false, edited: true, url: 'https://x/c/2' });
+    expect(updateComment).not.toHaveBeenCalled();
+    
+    // merge: the edit is still attributed to the author
+    expect(await manager.getEditedReleaseNotes(123, 'author')).toBe('- Added OAuth for everyone');
+  });
+
+  test('author-edited release notes replace generated ones', async () => {
+    const PreviewCommentManager = require('../src/modules/preview-comment');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    
+    const manager = new PreviewCommentManager({}, 'test-token');
+    const generated = manager.buildCommentBody(
+      { releaseNotes: '- Added OAuth', slackMessage: 'Deployed', aiGenerated: true },
+      { tagName: 'v1.2.4', previousVersion: 'v1.2.3' },
+      { number: 123 }
+    );
+    
+    expect(manager.parsePreviewComment(generated).edited).toBe(false);
+    
+    // Browser edits come back with CRLF line endings
+    const edited = generated.replace('- Added OAuth', '- Added OAuth login for\n  enterprise accounts').replace(/\n/g, '\r\n');
+    const parsed = manager.parsePreviewComment(edited);
+    expect(parsed.edited).toBe(true);
+    expect(parsed.notes).toBe('- Added OAuth login for\n  enterprise accounts');
+    
+    const analyzer = new PRAnalyzer({ inputs: {} }, 'test-token');
+    const body = 'Summary\r\n\r\n## Release notes\r\n<!-- what changed for users -->\r\n- Faster search\r\n### Details\r\nIndexes\r\n\r\n## Testing\r\nManual';
+    expect(analyzer.extractReleaseNotesSection(body)).toBe('- Faster search\n### Details\nIndexes');
+    expect(analyzer.extractReleaseNotesSection('## Release notes\n<!-- fill me in -->\n')).toBeNull();
+    expect(analyzer.extractReleaseNotesSection('No section here')).toBeNull();
+    
+    const generator = new ReleaseNotesGenerator({ isAiEnabled: true, inputs: {} });
+    generator.generateWithAI = jest.fn();
+    const result = await generator.generateReleaseNotes(
+      { analysis: { authorReleaseNotes: '- Faster search' }, commits: [] },
+      { newVersion: '1.2.4', buildNumber: '20240101.1200' }
+    );
+    
+    expect(generator.generateWithAI).not.toHaveBeenCalled();
+    expect(result.releaseNotes).toBe('- Faster search');
+    expect(result.aiGenerated).toBe(false);
+    expect(result.authorProvided).toBe(true);
+  });
+
+  test('glob matching', () => {
+    const { matchesGlob } = require('../src/utils/glob');
+    
+    expect(matchesGlob('docs/guide/intro.md', 'docs/**')).toBe(true);
+    expect(matchesGlob('src/docs/intro.js', 'docs/**')).toBe(false);
+    expect(matchesGlob('README.md', '*.md')).toBe(true);
+    expect(matchesGlob('packages/api/CHANGELOG.md', '*.md')).toBe(true);
+    expect(matchesGlob('.github/workflows/ci.yml', '.github/**')).toBe(true);
+    expect(matchesGlob('src/api/users.js', 'src/*/users.js')).toBe(true);
+    expect(matchesGlob('src/api/v2/users.js', 'src/*/users.js')).toBe(false);
+    expect(matchesGlob('src/api/v2/users.js', 'src/**/users.js')).toBe(true);
+    expect(matchesGlob('src/users.js', 'src/**/users.js')).toBe(true);
+    expect(matchesGlob('db/migrations/001.sql', 'db/migrations/')).toBe(true);
+    expect(matchesGlob('src/index.ts', 'src/*.{js,ts}')).toBe(true);
+  });
+
+  test('skip_if_no_changes evaluates significance', () => {
+    const { checkAnalysisConditions } = require('../src/main');
+    
+    const config = {
+      inputs: {
+        skipIfNoChanges: true,
+        significanceIgnorePaths: ['docs/**', '*.md', '.github/**'],
+        significanceIgnoreTypes: ['chore', 'docs', 'ci']
+      }
+    };
+    const context = { eventName: 'pull_request' };
+    const build = (files, messages, extra = {}) => ({
+      commits: messages.map(message => ({ message })),
+      analysis: { title: 'Update', filesChanged: files, isFeature: false, isBugfix: false, isBreakingChange: false, ...extra }
+    });
+    
+    const docsOnly = checkAnalysisConditions(config, context, build(['docs/a.md', 'README.md'], ['feat: new docs']));
+    expect(docsOnly.run).toBe(false);
+    expect(docsOnly.reason).toBe('No significant changes: Only ignored paths changed (docs/**, *.md, .github/**)');
+    
+    const choreOnly = checkAnalysisConditions(config, context, build(['package.json'], ['chore: bump', 'ci(build): cache']));
+    expect(choreOnly.run).toBe(false);
+    expect(choreOnly.reason).toBe('No significant changes: Only chore, ci changes landed');
+    
+    expect(checkAnalysisConditions(config, context, build(['src/a.js'], ['chore: tidy', 'fix: crash'])).run).toBe(true);
+    
+    // Merge commits of a push range carry no type of their own
+    const merged = build(['package.json'], ['chore: bump']);
+    merged.commits.push({ message: 'Merge pull request #4 from x/chore-bump', isMerge: true });
+    expect(checkAnalysisConditions(config, { eventName: 'push' }, merged).reason).toBe('No significant changes: Only chore changes landed');
+    
+    const reverted = build(['package.json'], ['docs: fix typo']);
+    reverted.commits.push({ message: 'Revert "chore: bump"\n\nThis reverts commit 1234567.', isRevert: true });
+    expect(checkAnalysisConditions(config, context, reverted).run).toBe(false);
+    reverted.commits.push({ message: 'Revert "feat: search"', isRevert: true });
+    expect(checkAnalysisConditions(config, context, reverted).run).toBe(true);
+    expect(checkAnalysisConditions(config, context, build(['src/a.js'], ['Tidy things up'])).run).toBe(true);
+    expect(checkAnalysisConditions(config, context, build(['src/a.js'], ['chore: tidy'], { isBugfix: true })).run).toBe(true);
+    expect(checkAnalysisConditions(config, context, build(['README.md'], ['docs: x'], { isBreakingChange: true })).run).toBe(true);
+    expect(checkAnalysisConditions({ inputs: {} }, context, build(['README.md'], ['docs: x'])).run).toBe(true);
+  });
+
+  test('monorepo packages are discovered and mapped to changed files', async () => {
+    const fs = require('fs');
+    const PackageResolver = require('../src/utils/packages');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const { buildReleaseTargets, combineTargets } = require('../src/main');
+    
+    const dir = name => ({ name, isDirectory: () => true });
+    const file = name => ({ name, isDirectory: () => false });
+    const readdir = jest.spyOn(fs.promises, 'readdir').mockImplementation(async (directory) => {
+      if (directory.endsWith('packages')) return [dir('api'), dir('web'), file('README.md'), dir('.cache')];
+      return [dir('packages'), dir('src')];
+    });
+    const stat = jest.spyOn(fs.promises, 'stat').mockImplementation(async () => ({ isDirectory: () => true }));
+    
+    const config = { isMonorepo: true, inputs: { packages: ['packages/*'], changelogFile: 'CHANGELOG.md' } };
+    const resolver = new PackageResolver(config);
+    const packages = await resolver.discoverPackages('/repo');
+    expect(packages).toEqual([{ name: 'api', path: 'packages/api' }, { name: 'web', path: 'packages/web' }]);
+    
+    const analyzer = new PRAnalyzer({ inputs: { versionStrategy: 'auto' } }, null, { rest: { repos: { getCommit: jest.fn() } } });
+    const prAnalysis = {
+      commits: [],
+      analysis: { filesChanged: ['packages/api/src/a.js', 'packages/api/b.js', 'README.md'] }
+    };
+    const targets = await buildReleaseTargets(config, prAnalysis, analyzer);
+    expect(targets).toHaveLength(1);
+    expect(targets[0].pkg).toEqual({ name: 'api', path: 'packages/api' });
+    expect(targets[0].changelogFile).toBe('packages/api/CHANGELOG.md');
+    expect(targets[0].prAnalysis.analysis.filesChanged).toEqual(['packages/api/src/a.js', 'packages/api/b.js']);
+    
+    // Each package only gets the commits that touched it, and is versioned by them
+    const commitFiles = {
+      c1: ['packages/api/src/a.js'],
+      c2: ['packages/web/README.md'],
+      c4: ['packages/api/b.js', 'packages/web/app.js']
+    };
+    analyzer.octokit.rest.repos.getCommit.mockImplementation(async ({ ref }) => {
+      if (!commitFiles[ref]) throw new Error('Not Found');
+      return { data: { files: commitFiles[ref].map(filename => ({ filename })) } };
+    });
+    const commits = [
+      { sha: 'c1', shortSha: 'c1', message: 'feat(api)!: drop the v1 endpoints' },
+      { sha: 'c2', shortSha: 'c2', message: 'docs: explain the web setup' },
+      { sha: 'c3', shortSha: 'c3', message: 'fix(web): handle empty carts' },
+      { sha: 'c4', shortSha: 'c4', message: 'chore: rename helpers' },
+      { sha: 'c5', shortSha: 'c5', message: 'Merge branch main', isMerge: true }
+    ];
+    const files = ['packages/api/src/a.js', 'packages/api/b.js', 'packages/web/README.md', 'packages/web/app.js'].map(filename => ({ filename }));
+    const split = await buildReleaseTargets(config, {
+      commits,
+      analysis: analyzer.analyzeChanges({ title: 'Split', labels: [] }, null, commits, files)
+    }, analyzer);
+    const [api, web] = split.map(target => target.prAnalysis);
+    
+    expect(analyzer.octokit.rest.repos.getCommit).not.toHaveBeenCalledWith(expect.objectContaining({ ref: 'c5' }));
+    expect(api.commits.map(commit => commit.sha)).toEqual(['c1', 'c4']);
+    expect(web.commits.map(commit => commit.sha)).toEqual(['c2', 'c3', 'c4']);
+    expect(api.analysis).toMatchObject({ isBreakingChange: true, isFeature: true, isBugfix: false, scopes: ['api'] });
+    expect(web.analysis).toMatchObject({ isBreakingChange: false, isFeature: false, isBugfix: true, breakingNotes: [] });
+    expect(web.analysis.changeTypes).toEqual(['chore', 'bugfix']);
+    expect(analyzer.explainVersionIncrement(api.analysis).increment).toBe('major');
+    expect(analyzer.explainVersionIncrement(web.analysis).increment).toBe('patch');
+    
+    const combined = combineTargets([
+      { versionInfo: { tagName: 'api@1.4.0', previousVersion: 'api@1.3.0', buildNumber: '1' }, releaseNotes: { releaseNotes: '## api', slackMessage: 'api', aiGenerated: true } },
+      { versionInfo: { tagName: 'web@2.0.1', previousVersion: 'web@2.0.0', buildNumber: '1' }, releaseNotes: { releaseNotes: '## web', slackMessage: 'web', aiGenerated: false } }
+    ]);
+    expect(combined.versionInfo.tagName).toBe('api@1.4.0, web@2.0.1');
+    expect(combined.releaseNotes.releaseNotes).toBe('## api\n\n## web');
+    expect(combined.releaseNotes.aiGenerated).toBe(false);
+    
+    readdir.mockRestore();
+    stat.mockRestore();
+  });
+
+  test('version manager generates prefixed package versions', async () => {
+    const VersionManager = require('../src/modules/versioning');
+    const gitUtils = { getLatestTag: jest.fn(async () => 'api@1.3.0') };
+    const vm = new VersionManager({ isProductionEnvironment: true, inputs: { versionPrefix: 'v', versionStrategy: 'patch' } }, gitUtils);
+    
+    const versionInfo = await vm.generateVersion('minor', { name: 'api', path: 'packages/api' });
+    expect(gitUtils.getLatestTag).toHaveBeenCalledWith({ prefix: 'api@' });
+    expect(versionInfo).toMatchObject({ newVersion: '1.4.0', tagName: 'api@1.4.0', previousVersion: 'api@1.3.0', packageName: 'api' });
+  });
+
+  test('publisher registry orders, skips and halts publishers', async () => {
+    const { PublisherRegistry, createDefaultPublishers } = require('../src/modules/publishers');
+    
+    const calls = [];
+    const publisher = (name, order, result, enabled = true) => ({
+      name,
+      order,
+      enabled: () => enabled,
+      publish: jest.fn(async () => {
+        calls.push(name);
+        if (result instanceof Error) throw result;
+        return result;
+      }),
+      rollback: jest.fn(async () => ({ rolledBack: true }))
+    });
+    
+    const config = { inputs: { publishersOrder: ['slack'], requiredPublishers: ['webhook'] } };
+    const registry = new PublisherRegistry(config)
+      .register(publisher('changelog', 10, { success: true, url: 'https://x/pr/1' }))
+      .register(publisher('webhook', 20, new Error('boom')))
+      .register(publisher('slack', 30, { success: false, reason: 'HTTP 500' }))
+      .register(publisher('teams', 40, { success: true }, false))
+      .register(publisher('archive', 50, { success: true }));
+    
+    expect(() => registry.register(publisher('slack', 1, {}))).toThrow('Publisher slack is already registered');
+    expect(registry.getOrderedPublishers().map(p => p.name)).toEqual(['slack', 'changelog', 'webhook', 'teams', 'archive']);
+    
+    const { results, failed } = await registry.publishAll({ targets: [] });
+    
+    expect(calls).toEqual(['slack', 'changelog', 'webhook']);
+    expect(failed).toBe('webhook');
+    expect(PublisherRegistry.summarize(results)).toEqual({
+      slack: { status: 'failed', url: null, reason: 'HTTP 500' },
+      changelog: { status: 'success', url: 'https://x/pr/1', reason: null },
+      webhook: { status: 'failed', url: null, reason: 'boom' },
+      teams: { status: 'skipped', url: null, reason: 'webhook failed' },
+      archive: { status: 'skipped', url: null, reason: 'webhook failed' }
+    });
+    
+    // run() rolls the publishers back through the release journal, the latest first
+    const { recordPublisherResults } = require('../src/main');
+    const ReleaseJournal = require('../src/utils/journal');
+    const journal = new ReleaseJournal();
+    journal.record('tag', 'created tag v1.2.4', async () => true);
+    registry.register({ name: 'archive-index', order: 5, publish: jest.fn() });
+    const release = { targets: [] };
+    recordPublisherResults(journal, registry, release, { ...results, 'archive-index': { status: 'success' } });
+    
+    const report = await journal.rollback();
+    expect(report.map(item => [item.step, item.status])).toEqual([
+      ['publisher:webhook', 'rolled back'],
+      ['publisher:changelog', 'rolled back'],
+      ['publisher:archive-index', 'not undoable'],
+      ['publisher:slack', 'rolled back'],
+      ['tag', 'rolled back']
+    ]);
+    expect(registry.get('webhook').rollback).toHaveBeenCalledWith(release, results.webhook);
+    expect(registry.get('archive').rollback).not.toHaveBeenCalled();
+    
+    const defaults = createDefaultPublishers({ inputs: {} }, 'test-token', {});
+    expect(defaults.getOrderedPublishers().map(p => p.name)).toEqual(['changelog', 'github-release', 'slack']);
+    expect(defaults.getOrderedPublishers().every(p => p.continueOnError)).toBe(true);
+  });
+
+  test('re-runs resume the version already released for the commit', async () => {
+    const VersionManager = require('../src/modules/versioning');
+    const ChangelogManager = require('../src/modules/changelog');
+    
+    const gitUtils = {
+      getTagsPointingAt: jest.fn(async sha => (sha === 'merge-sha' ? ['v1.2.4', 'deploy-2024', 'v1.2.4-rc.1'] : [])),
+      getLatestTag: jest.fn(async () => 'v1.2.3')
+    };
+    const vm = new VersionManager({ inputs: { versionPrefix: 'v' } }, gitUtils);
+    
+    const resumed = await vm.findReleasedVersion(['head-sha', 'merge-sha']);
+    expect(resumed).toMatchObject({ newVersion: '1.2.4', tagName: 'v1.2.4', previousVersion: 'v1.2.3', resumed: true });
+    expect(gitUtils.getLatestTag).toHaveBeenCalledWith({ prefix: 'v', ref: 'v1.2.4^' });
+    
+    expect(await vm.findReleasedVersion(['other-sha'])).toBeNull();
+    expect((await vm.findReleasedVersion(['other-sha'], null, ['v1.3.0'])).tagName).toBe('v1.3.0');
+    
+    const changelog = new ChangelogManager({ inputs: {} });
+    expect(changelog.hasEntry('# Changelog\n\n## [1.2.4] - 2024-01-01\n', '1.2.4')).toBe(true);
+    expect(changelog.hasEntry('# Changelog\n\n## [1.2.40] - 2024-01-01\n', '1.2.4')).toBe(false);
+    
+    // An already pushed changelog branch only needs its PR
+    const releaseManager = { createPullRequestForChangelog: jest.fn(async () => ({ created: false, exists: true, url: 'https://x/pull/7' })) };
+    const resumingChangelog = new ChangelogManager(
+      { isProductionEnvironment: true, inputs: {} },
+      { remoteBranchExists: jest.fn(async () => true), commitAndPush: jest.fn() },
+      releaseManager
+    );
+    resumingChangelog.updateChangelog = jest.fn();
+    
+    const result = await resumingChangelog.publish({
+      versionInfo: resumed,
+      targets: [{ versionInfo: resumed }]
+    });
+    expect(resumingChangelog.updateChangelog).not.toHaveBeenCalled();
+    expect(releaseManager.createPullRequestForChangelog).toHaveBeenCalledWith(resumed, true, 'release/v1.2.4');
+    expect(result).toMatchObject({ success: true, url: 'https://x/pull/7', resumed: true });
+    expect(result.pullRequestNumber).toBeUndefined();
+  });
+
+  test('a failed release rolls back what it created in reverse order', async () => {
+    const ReleaseJournal = require('../src/utils/journal');
+    const ChangelogManager = require('../src/modules/changelog');
+    
+    const gitUtils = { deleteRemoteBranch: jest.fn(async () => true) };
+    const githubReleaseManager = { closePullRequest: jest.fn(async () => false) };
+    const changelog = new ChangelogManager({ inputs: {} }, gitUtils, githubReleaseManager);
+    
+    const undone = [];
+    const journal = new ReleaseJournal();
+    journal.record('tag', 'created tag v1.2.4', async () => undone.push('tag') > 0);
+    journal.record('publisher:changelog', 'changelog success', () =>
+      changelog.rollback({}, { branch: 'release/v1.2.4', branchCreated: true, pullRequestNumber: 7 }));
+    journal.record('publisher:slack', 'slack success', async () => ({ rolledBack: false, undoable: false, reason: 'Slack messages cannot be recalled' }));
+    journal.record('publisher:github-release', 'github-release failed', async () => { throw new Error('HTTP 502'); });
+    
+    const report = await journal.rollback();
+    
+    expect(report.map(item => [item.step, item.status, item.reason])).toEqual([
+      ['publisher:github-release', 'failed', 'HTTP 502'],
+      ['publisher:slack', 'not undoable', 'Slack messages cannot be recalled'],
+      ['publisher:changelog', 'failed', 'failed to close PR #7'],
+      ['tag', 'rolled back', null]
+    ]);
+    expect(gitUtils.deleteRemoteBranch).toHaveBeenCalledWith('release/v1.2.4');
+    expect(undone).toEqual(['tag']);
+    expect(journal.isEmpty).toBe(true);
+    expect(ReleaseJournal.formatReport(report)).toContain('↩️ tag: created tag v1.2.4 - rolled back');
+  });
+
+  test('job summary explains the version decision and publisher results', async () => {
+    const JobSummary = require('../src/modules/job-summary');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    
+    const analyzer = new PRAnalyzer({ inputs: { versionStrategy: 'auto' } }, 'test-token');
+    const versionDecision = analyzer.explainVersionIncrement({ isFeature: true });
+    expect(versionDecision).toEqual({ increment: 'minor', strategy: 'auto', reason: 'New feature detected' });
+    
+    const versionInfo = { newVersion: '1.3.0', previousVersion: 'v1.2.3', tagName: 'v1.3.0' };
+    const summary = new JobSummary({ inputs: { jobSummary: true } }).render({
+      mode: 'release',
+      targets: [{ pkg: null, versionInfo, versionDecision }],
+      versionInfo,
+      releaseNotes: { releaseNotes: '### Public\n- Added OAuth login', aiGenerated: false, aiProvider: 'Gemini API', fallbackReason: 'AI generation failed' },
+      prAnalysis: {
+        analysis: { title: 'Add OAuth', labels: ['feature'], changeTypes: ['feature'] },
+        commits: [{ shortSha: 'abc1234', url: 'https://x/commit/abc1234', message: 'feat: add OAuth | login\n\nbody', author: 'dev' }]
+      },
+      results: {
+        changelog: { status: 'success', url: 'https://x/pull/9' },
+        slack: { status: 'failed', reason: 'HTTP 500' }
+      }
+    });
+    
+    expect(summary).toContain('## 🚀 Release v1.3.0');
+    expect(summary).toContain('- **Reason:** New feature detected');
+    expect(summary).toContain('- **Commit types:** feat');
+    expect(summary).toContain('| 1.3.0 | v1.2.3 | v1.3.0 | No |');
+    expect(summary).toContain('| changelog | ✅ success | [https://x/pull/9](https://x/pull/9) |');
+    expect(summary).toContain('| slack | ❌ failed | HTTP 500 |');
+    expect(summary).toContain('- **Fallback:** AI generation failed');
+    expect(summary).toContain('| [abc1234](https://x/commit/abc1234) | feat: add OAuth \\| login | dev |');
+    
+    // Each package shows the increment its own changes called for
+    const packages = new JobSummary({ inputs: { jobSummary: true } }).render({
+      mode: 'release',
+      targets: [
+        { pkg: { name: 'api' }, versionInfo: { newVersion: '2.0.0', previousVersion: 'api@1.4.0', tagName: 'api@2.0.0' }, versionDecision: { increment: 'major', strategy: 'auto', reason: 'Breaking change detected' } },
+        { pkg: { name: 'web' }, versionInfo: { newVersion: '3.1.1', previousVersion: 'web@3.1.0', tagName: 'web@3.1.1' }, versionDecision: { increment: 'patch', strategy: 'auto', reason: 'Bug fix detected' } }
+      ],
+      versionInfo: { tagName: 'api@2.0.0, web@3.1.1' },
+      releaseNotes: { releaseNotes: '## api\n\n## web', aiGenerated: true },
+      prAnalysis: { analysis: { labels: [], changeTypes: [] }, commits: [] }
+    });
+    expect(packages).not.toContain('- **Increment:**');
+    expect(packages).toContain('| api | major | Breaking change detected | 2.0.0 | api@1.4.0 | api@2.0.0 | No |');
+    expect(packages).toContain('| web | patch | Bug fix detected | 3.1.1 | web@3.1.0 | web@3.1.1 | No |');
+    
+    // Failed runs report the error and what was rolled back, however far they got
+    const failed = new JobSummary({ inputs: { jobSummary: true } }).render({
+      mode: 'release',
+      targets: [{ pkg: null, versionInfo, versionDecision }],
+      versionInfo,
+      releaseNotes: { releaseNotes: '- Added OAuth login', aiGenerated: true },
+      prAnalysis: { analysis: { labels: [], changeTypes: [] }, commits: [] },
+      results: { changelog: { status: 'failed', reason: 'HTTP 409' } },
+      error: 'Required publisher changelog failed: HTTP 409',
+      rollbackReport: [{ step: 'tag-push', description: 'pushed tag v1.3.0', status: 'rolled back' }]
+    });
+    expect(failed).toContain('## ❌ Release v1.3.0 failed');
+    expect(failed).toContain('### Failure\n\n```text\nRequired publisher changelog failed: HTTP 409\n```');
+    expect(failed).toContain('### Rollback\n\n```text\n↩️ tag-push: pushed tag v1.3.0 - rolled back\n```');
+    expect(failed).toContain('| changelog | ❌ failed | HTTP 409 |');
+    
+    const early = new JobSummary({ inputs: { jobSummary: true } }).render({ mode: 'release', error: 'GitHub token is required.' });
+    expect(early).toBe('## ❌ Release failed\n\n### Failure\n\n```text\nGitHub token is required.\n```');
+    
+    delete process.env.GITHUB_STEP_SUMMARY;
+    const written = await new JobSummary({ inputs: { jobSummary: true } }).write({});
+    expect(written).toEqual({ written: false, reason: 'GITHUB_STEP_SUMMARY is not set' });
+  });
+
+  test('CLI reads inputs from flags and answers API calls from fixtures', async () => {
+    const { parseCliArgs, createInputSource, inferEventName, withLogsOnStderr } = require('../src/cli');
+    const { createFixtureOctokit, createRecordingOctokit } = require('../src/utils/fixture-octokit');
+    
+    const options = parseCliArgs(['--event', 'event.json', '--input', 'version_strategy=auto', '--input', 'enable_slack=true', '--json']);
+    expect(options).toMatchObject({ event: 'event.json', input: ['version_strategy=auto', 'enable_slack=true'], json: true });
+    
+    const source = createInputSource({ version_strategy: 'auto', max_commits_fallback: 20 });
+    expect(source.getInput('version_strategy')).toBe('auto');
+    expect(source.getInput('max_commits_fallback')).toBe('20');
+    expect(source.getInput('environment')).toBe('');
+    expect(source.hasInput('max_commits_fallback')).toBe(true);
+    expect(source.hasInput('environment')).toBe(false);
+    
+    expect(inferEventName({ pull_request: {} })).toBe('pull_request');
+    expect(inferEventName({ ref: 'refs/heads/main', after: 'abc' })).toBe('push');
+    expect(inferEventName({ inputs: {} })).toBe('workflow_dispatch');
+    
+    const recorded = {};
+    const live = { rest: { pulls: { get: jest.fn(async params => ({ data: params.mediaType ? 'diff --git a/x b/x' : { number: params.pull_number } })) } } };
+    const recorder = createRecordingOctokit(live, recorded);
+    await recorder.rest.pulls.get({ owner: 'o', repo: 'r', pull_number: 5 });
+    await recorder.rest.pulls.get({ owner: 'o', repo: 'r', pull_number: 5, mediaType: { format: 'diff' } });
+    
+    expect(recorded).toEqual({
+      'pulls.get': [{ params: { pull_number: 5 }, data: { number: 5 } }],
+      'pulls.get:diff': [{ params: { pull_number: 5 }, data: 'diff --git a/x b/x' }]
+    });
+    
+    const replay = createFixtureOctokit(recorded);
+    await expect(replay.rest.pulls.get({ owner: 'o', repo: 'r', pull_number: 5 })).resolves.toMatchObject({ data: { number: 5 } });
+    await expect(replay.rest.pulls.get({ pull_number: 6 })).rejects.toThrow('No recorded response for pulls.get {"pull_number":6}');
+    
+    // The CLI's scratch directory keeps the analysis and notes files out of the checkout
+    const fs = require('fs');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    fs.promises.writeFile.mockClear();
+    await new PRAnalyzer({ inputs: {} }, null, replay, '/tmp/scratch').saveAnalysisFiles({ title: 'x' }, 'diff', [], {});
+    await new ReleaseNotesGenerator({ inputs: {} }, '/tmp/scratch').saveReleaseNotes('notes', 'slack');
+    expect(fs.promises.writeFile.mock.calls.map(call => call[0])).toEqual([
+      '/tmp/scratch/pr_details.json', '/tmp/scratch/pr_diff.txt', '/tmp/scratch/release-notes.md', '/tmp/scratch/slack-message.txt'
+    ]);
+    
+    // Logs written to stdout while generating end up on stderr, stdout only gets the result
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const result = await withLogsOnStderr(async print => {
+      process.stdout.write('::warning::No token or fixture given\n');
+      print('{ "version": "1.0.0" }\n');
+      return 'done';
+    });
+    const restoredWrite = process.stdout.write;
+    const printed = stdout.mock.calls;
+    const logged = stderr.mock.calls;
+    stdout.mockRestore();
+    stderr.mockRestore();
+    
+    expect(result).toBe('done');
+    expect(restoredWrite).toBe(stdout);
+    expect(printed).toEqual([['{ "version": "1.0.0" }\n']]);
+    expect(logged).toEqual([['::warning::No token or fixture given\n']]);
+  });
+
+  test('a tag lost to a concurrent release is reallocated and retried', async () => {
+    const { secureReleaseTag } = require('../src/main');
+    const VersionManager = require('../src/modules/versioning');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const ReleaseJournal = require('../src/utils/journal');
+    
+    const config = { inputs: { versionPrefix: 'v', tagMaxAttempts: 3, environment: 'PROD' }, isProductionEnvironment: true };
+    const gitUtils = {
+      tagExists: jest.fn(async () => false),
+      createTag: jest.fn(async () => true),
+      // Another run pushed v1.3.0, but the fetched tags do not show it yet
+      pushNewTag: jest.fn(async tag => (tag === 'v1.3.0' ? { pushed: false, rejected: true, reason: '! [rejected] (stale info)' } : { pushed: true })),
+      deleteTag: jest.fn(async () => true),
+      fetchTags: jest.fn(async () => true),
+      getLatestTag: jest.fn(async () => 'v1.2.3')
+    };
+    const journal = new ReleaseJournal();
+    const target = {
+      pkg: null,
+      versionInfo: { newVersion: '1.3.0', previousVersion: 'v1.2.3', tagName: 'v1.3.0', buildNumber: '20240101.1200' },
+      releaseNotes: { releaseNotes: '## v1.3.0 - 20240101.1200 [PROD]\n\n- Mentions v1.3.0 in the body', slackMessage: 'Just deployed **v1.3.0**' }
+    };
+    
+    const secured = await secureReleaseTag(target, {
+      config,
+      gitUtils,
+      versionManager: new VersionManager(config, gitUtils),
+      releaseNotesGenerator: new ReleaseNotesGenerator(config),
+      versionIncrement: 'minor',
+      journal
+    });
+    
+    expect(secured).toMatchObject({ newVersion: '1.4.0', tagName: 'v1.4.0', previousVersion: 'v1.3.0', buildNumber: '20240101.1200' });
+    expect(gitUtils.pushNewTag.mock.calls.map(call => call[0])).toEqual(['v1.3.0', 'v1.4.0']);
+    expect(gitUtils.deleteTag).toHaveBeenCalledWith('v1.3.0');
+    expect(gitUtils.fetchTags).toHaveBeenCalledTimes(1);
+    expect(target.releaseNotes.releaseNotes).toBe('## v1.4.0 - 20240101.1200 [PROD]\n\n- Mentions v1.3.0 in the body');
+    expect(target.releaseNotes.slackMessage).toBe('Just deployed **v1.4.0**');
+    expect(journal.entries.map(entry => entry.description)).toEqual(['created tag v1.4.0', 'pushed tag v1.4.0']);
+    
+    gitUtils.pushNewTag.mockImplementation(async () => ({ pushed: false, rejected: true, reason: 'rejected' }));
+    await expect(secureReleaseTag(target, {
+      config,
+      gitUtils,
+      versionManager: new VersionManager(config, gitUtils),
+      releaseNotesGenerator: new ReleaseNotesGenerator(config),
+      versionIncrement: 'minor',
+      journal
+    })).rejects.toThrow('Could not secure a release tag after 3 attempts');
+  });
+
+  test('repository config file is validated and layered under action inputs', () => {
+    const fs = require('fs');
+    const Config = require('../src/utils/config');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const { parseConfigFile, validateConfigFile, resolveFileInputs } = require('../src/utils/config-file');
+    
+    const invalid = parseConfigFile('.github/release-notes.yml', [
+      'version_strategy: sometimes',
+      'slack:',
+      '  mention_users: [alice, bob, { name: carol }]',
+      '  mention_user: dave',
+      'environments:',
+      '  staging:',
+      '    environment: PROD'
+    ].join('\n'));
+    expect(validateConfigFile(invalid)).toEqual([
+      'version_strategy: must be equal to one of the allowed values',
+      'slack.mention_user: unknown key',
+      'slack.mention_users[2]: must be string',
+      'environments.staging.environment: unknown key'
+    ]);
+    
+    const settings = parseConfigFile('.github/release-notes.json', JSON.stringify({
+      version_strategy: 'auto',
+      create_release: true,
+      slack: { enabled: true, mention_users: ['alice', 'bob'] },
+      categories: [{ title: 'Features', types: ['feat'] }, { title: 'Fixes', labels: ['bug'] }],
+      environments: { Staging: { create_release: false, slack: { channel: '#staging' } } }
+    }));
+    expect(validateConfigFile(settings)).toEqual([]);
+    expect(resolveFileInputs(settings, 'STAGING').inputs).toEqual({
+      version_strategy: 'auto',
+      create_release: 'false',
+      enable_slack: 'true',
+      slack_mention_users: 'alice,bob',
+      slack_channel: '#staging'
+    });
+    
+    fs.existsSync.mockImplementation(file => file.endsWith('.github/release-notes.json'));
+    fs.readFileSync = jest.fn(() => JSON.stringify(settings));
+    const workflowInputs = { version_strategy: 'minor', slack_webhook_url: 'https://hooks.slack.com/x' };
+    const config = new Config({ getInput: name => workflowInputs[name] || '' });
+    
+    // A source that knows which inputs were given lets an empty or false one override the file
+    const { createInputSource } = require('../src/cli');
+    const cleared = new Config(createInputSource({ slack_mention_users: '', create_release: 'false', slack_webhook_url: 'https://hooks.slack.com/x' }));
+    fs.existsSync.mockReset();
+    
+    expect(cleared.inputs).toMatchObject({ slackMentionUsers: '', createRelease: false, enableSlack: true, versionStrategy: 'auto' });
+    
+    expect(config.inputs).toMatchObject({
+      versionStrategy: 'minor',
+      createRelease: true,
+      enableSlack: true,
+      slackMentionUsers: 'alice,bob',
+      changelogFile: 'CHANGELOG.md',
+      includeCommitLinks: true
+    });
+    
+    config.inputs.environment = 'PROD';
+    config.inputs.includeCommitLinks = false;
+    const notes = new ReleaseNotesGenerator(config).generateFromTemplate({
+      analysis: { labels: ['bug'], isFeature: true },
+      commits: [
+        { message: 'feat(api): add search', shortSha: 'a' },
+        { message: 'correct typo', shortSha: 'b' }
+      ]
+    }, { newVersion: '1.3.0', tagName: 'v1.3.0', buildNumber: '1' });
+    expect(notes.releaseNotes).toContain('### Features\n- feat(api): add search\n\n### Fixes\n- correct typo');
+    expect(notes.releaseNotes).not.toContain('### Internal');
+  });
+
+  test('branch environments pick the environment and the allowed branches', async () => {
+    const Config = require('../src/utils/config');
+    const { checkTriggerConditions, getEventBranch } = require('../src/main');
+    
+    const workflowInputs = { branch_environments: 'main=PROD\ndevelop=DEV\nrelease/*=STAGING' };
+    const configFor = branch => new Config({ getInput: name => workflowInputs[name] || '' }, { branch });
+    
+    expect(configFor('main').inputs.environment).toBe('PROD');
+    expect(configFor('main').isProductionEnvironment).toBe(true);
+    expect(configFor('release/2.1').inputs.environment).toBe('STAGING');
+    expect(configFor('release/2.1').isProductionEnvironment).toBe(false);
+    expect(configFor('feature/x').inputs.environment).toBe('PROD');
+    
+    const pushContext = branch => ({ eventName: 'push', payload: { ref: `refs/heads/${branch}` } });
+    expect(getEventBranch(pushContext('release/2.1'))).toBe('release/2.1');
+    expect(getEventBranch({ eventName: 'push', payload: { ref: 'refs/tags/v1.0.0' } })).toBeNull();
+    
+    const staging = configFor('release/2.1');
+    await expect(checkTriggerConditions(staging, pushContext('release/2.1'))).resolves.toMatchObject({ run: true });
+    await expect(checkTriggerConditions(staging, pushContext('master'))).resolves.toMatchObject({
+      run: false,
+      reason: 'Target branch master not in allowed list'
+    });
+    
+    workflowInputs.branch_environments = 'main';
+    expect(() => configFor('main')).toThrow('Invalid branch_environments entry: main. Expected branch=ENVIRONMENT');
+  });
+
+  test('latest tag is the highest matching semver tag, or none for the first release', async () => {
+    const GitUtils = require('../src/utils/git');
+    const VersionManager = require('../src/modules/versioning');
+    
+    const tags = ['deploy-2024', 'v1.9.0', 'v1.10.0', 'v1.11.0-dev.abc1234', 'v2.0.0-rc.1', 'api@3.0.0', 'release-9.0.0'];
+    const gitUtils = new GitUtils({ inputs: { versionPrefix: 'v' } });
+    expect(gitUtils.selectLatestTag(tags, 'v')).toBe('v1.10.0');
+    expect(gitUtils.selectLatestTag(tags, 'api@')).toBe('api@3.0.0');
+    
+    gitUtils.config.inputs.includePrereleaseTags = true;
+    expect(gitUtils.selectLatestTag(tags, 'v')).toBe('v2.0.0-rc.1');
+    
+    gitUtils.config.inputs.tagPattern = 'v1.9.*';
+    expect(gitUtils.selectLatestTag(tags, 'v')).toBe('v1.9.0');
+    expect(gitUtils.selectLatestTag(['deploy-2024'], 'v')).toBeNull();
+    
+    const config = { inputs: { versionPrefix: 'v', initialVersion: '0.1.0' }, isProductionEnvironment: true };
+    const vm = new VersionManager(config, { getLatestTag: jest.fn(async () => null) });
+    await expect(vm.generateVersion('minor')).resolves.toMatchObject({
+      newVersion: '0.1.0',
+      tagName: 'v0.1.0',
+      previousVersion: null,
+      cleanPreviousVersion: null,
+      firstRelease: true
+    });
+  });
+
+  test('commits are read NUL-delimited with bodies, trailers, merges and reverts', async () => {
+    const exec = require('@actions/exec');
+    const GitUtils = require('../src/utils/git');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+
+    const log = [
+      ['a1', 'p1', 'Dev', 'dev@x', '2024-01-03', 'feat: pipes | in subjects\n\nDrops the v1 API.\n\nBREAKING CHANGE: /v1 is removed\nCo-authored-by: Jane Roe <jane@x>\n'],
+      ['b2', 'p2 p3', 'Dev', 'dev@x', '2024-01-02', 'Merge pull request #4 from x/feat-y\n'],
+      ['c3', 'p4', 'Dev', 'dev@x', '2024-01-01', 'Revert "fix: crash"\n\nThis reverts commit 1234567890abcdef.\n']
+    ].map(fields => fields.join('\0')).join('\0');
+
+    exec.exec.mockImplementationOnce(async (cmd, args, options) => {
+      expect(args).toContain('-z');
+      options.listeners.stdout(Buffer.from(log));
+      return 0;
+    });
+    const commits = await new GitUtils({ inputs: {} }).getCommitsInRange('v1.0.0', 'HEAD');
+
+    expect(commits.map(commit => commit.subject)).toEqual(['feat: pipes | in subjects', 'Merge pull request #4 from x/feat-y', 'Revert "fix: crash"']);
+    expect(commits[0].trailers).toEqual([
+      { key: 'BREAKING CHANGE', value: '/v1 is removed' },
+      { key: 'Co-authored-by', value: 'Jane Roe <jane@x>' }
+    ]);
+    expect(commits.map(commit => [commit.isMerge, commit.isRevert])).toEqual([[false, false], [true, false], [false, true]]);
+
+    // Breaking change footers usually wrap without indentation, other trailers still need it
+    const { parseTrailers, describeCommit } = require('../src/utils/commits');
+    expect(parseTrailers('BREAKING CHANGE: the config\nformat changed.\nSigned-off-by: Dev <dev@x>')).toEqual([
+      { key: 'BREAKING CHANGE', value: 'the config format changed.' },
+      { key: 'Signed-off-by', value: 'Dev <dev@x>' }
+    ]);
+    expect(parseTrailers('BREAKING-CHANGE: the config\nformat changed.')).toEqual([{ key: 'BREAKING-CHANGE', value: 'the config format changed.' }]);
+    expect(parseTrailers('Refs: #12\nnot a trailer')).toEqual([]);
+    expect(describeCommit('chore: new config\n\nBREAKING CHANGE: the config\nformat changed.\n').trailers)
+      .toEqual([{ key: 'BREAKING CHANGE', value: 'the config format changed.' }]);
+
+    const analyzer = new PRAnalyzer({ inputs: {} }, 'token');
+    const prCommits = commits.map(commit => analyzer.toPRCommit(commit));
+    const analysis = analyzer.analyzeChanges({ title: 'Range', labels: [] }, '', prCommits);
+    expect(analysis.isBreakingChange).toBe(true);
+    expect(analysis.isBugfix).toBe(false);
+    expect(Array.from(analysis.changeTypes)).toEqual(['breaking', 'feature', 'revert']);
+
+    const generator = new ReleaseNotesGenerator({ inputs: { environment: 'PROD', maxCommitsFallback: 10, includeCommitLinks: false, categories: [] } });
+    const { releaseNotes } = generator.generateFromTemplate({ commits: prCommits, analysis }, { newVersion: '2.0.0', buildNumber: 7 });
+    expect(releaseNotes).toContain('Breaking changes - please review migration notes\n- /v1 is removed');
+    expect(releaseNotes).toContain('- feat: pipes | in subjects (co-authored by Jane Roe)');
+    expect(releaseNotes).toContain('- Revert "fix: crash"');
+    expect(releaseNotes).not.toContain('Merge pull request');
+  });
+
+  test('release tags are signed locally or created through the API', async () => {
+    const exec = require('@actions/exec');
+    const GitUtils = require('../src/utils/git');
+    const Config = require('../src/utils/config');
+
+    const inputs = { signing_method: 'gpg' };
+    expect(() => new Config({ getInput: name => inputs[name] || '' }))
+      .toThrow('signing_key is required when signing_method is gpg');
+
+    exec.exec.mockClear();
+    const signed = new GitUtils({ inputs: { signingMethod: 'ssh', gitUserName: 'bot', gitUserEmail: 'bot@x' } });
+    await signed.createTag('v2.0.0', 'Release v2.0.0');
+    expect(exec.exec).toHaveBeenCalledWith('git', ['tag', '-s', 'v2.0.0', '-m', 'Release v2.0.0']);
+
+    const git = {
+      createTag: jest.fn(async () => ({ data: { sha: 'tagobject' } })),
+      createRef: jest.fn(async () => ({ data: {} }))
+    };
+    const api = new GitUtils({ inputs: { signingMethod: 'api', gitUserName: 'bot', gitUserEmail: 'bot@x' } }, { rest: { git } });
+    exec.exec.mockImplementation(async (cmd, args, options) => {
+      options.listeners.stdout(Buffer.from('abc123\0Release v2.0.0\n\nNotes'));
+      return 0;
+    });
+
+    expect(await api.pushNewTag('v2.0.0')).toEqual({ pushed: true });
+    expect(git.createTag).toHaveBeenCalledWith(expect.objectContaining({ tag: 'v2.0.0', object: 'abc123', message: 'Release v2.0.0\n\nNotes\n' }));
+    expect(git.createRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/tags/v2.0.0', sha: 'tagobject' }));
+
+    git.createRef.mockRejectedValueOnce(Object.assign(new Error('Reference already exists'), { status: 422 }));
+    expect(await api.pushNewTag('v2.0.0')).toEqual({ pushed: false, rejected: true, reason: 'Reference already exists' });
+
+    exec.exec.mockReset();
+  });
+
+  test('signing keys are set up per method and removed again', async () => {
+    const exec = require('@actions/exec');
+    const fs = require('fs');
+    const SigningKeyring = require('../src/utils/signing');
+
+    Object.assign(fs, {
+      mkdtempSync: jest.fn(prefix => `${prefix}abc`),
+      chmodSync: jest.fn(),
+      writeFileSync: jest.fn(),
+      rmSync: jest.fn()
+    });
+    let localConfig = {};
+    exec.exec.mockReset();
+    exec.exec.mockImplementation(async (cmd, args, options) => {
+      if (cmd === 'gpg' && args.includes('--list-secret-keys')) {
+        options.listeners.stdout(Buffer.from('sec:u:255:22:KEYID:1700000000:::u:::scESC:::+:::ed25519:::0:\nfpr:::::::::ABCDEF0123456789:\n'));
+      }
+      if (cmd === 'git' && args.includes('--get')) {
+        const value = localConfig[args[args.length - 1]];
+        if (value === undefined) return 1;
+        options.listeners.stdout(Buffer.from(`${value}\n`));
+      }
+      return 0;
+    });
+    const calls = () => exec.exec.mock.calls.map(([cmd, args]) => [cmd, ...args].join(' '));
+    const written = file => fs.writeFileSync.mock.calls.find(call => call[0].endsWith(file));
+
+    // GitHub signs API objects, there is no key to set up
+    const api = new SigningKeyring({ inputs: { signingMethod: 'api' } });
+    expect(await api.setup()).toEqual({ configured: false, reason: 'Signing method api needs no key' });
+    await api.cleanup();
+    expect(exec.exec).not.toHaveBeenCalled();
+    expect(fs.mkdtempSync).not.toHaveBeenCalled();
+
+    // The checkout signs with a key of its own that has to survive the release
+    localConfig = { 'user.signingkey': 'USER0KEY' };
+    const previousHome = process.env.GNUPGHOME;
+    process.env.GNUPGHOME = '/home/runner/.gnupg';
+    const gpg = new SigningKeyring({ inputs: { signingMethod: 'gpg', signingKey: 'ARMORED KEY', signingKeyPassphrase: 'gpg secret' } });
+    expect(await gpg.setup()).toEqual({ configured: true });
+    const directory = gpg.directory;
+    expect(process.env.GNUPGHOME).toBe(directory);
+    expect(written('gpg.conf')[1]).toBe(`batch\npinentry-mode loopback\npassphrase-file ${directory}/passphrase\n`);
+    expect(written('passphrase')).toEqual([`${directory}/passphrase`, 'gpg secret', { mode: 0o600 }]);
+    expect(exec.exec).toHaveBeenCalledWith('gpg', ['--import'], expect.objectContaining({ input: Buffer.from('ARMORED KEY') }));
+    expect(calls()).toContain('git config --local gpg.format openpgp');
+    expect(calls()).toContain('git config --local user.signingkey ABCDEF0123456789');
+    expect(calls().some(call => call.includes('gpg secret'))).toBe(false);
+
+    exec.exec.mockClear();
+    await gpg.cleanup();
+    expect(calls()).toEqual([
+      'git config --local --unset gpg.format',
+      'git config --local user.signingkey USER0KEY',
+      'gpgconf --kill gpg-agent'
+    ]);
+    expect(process.env.GNUPGHOME).toBe('/home/runner/.gnupg');
+    expect(fs.rmSync).toHaveBeenCalledWith(directory, { recursive: true, force: true });
+    expect(gpg.directory).toBeNull();
+
+    // The SSH passphrase reaches ssh-keygen through an askpass helper, never on its command line
+    exec.exec.mockClear();
+    fs.writeFileSync.mockClear();
+    fs.rmSync.mockClear();
+    localConfig = {};
+    const ssh = new SigningKeyring({ inputs: { signingMethod: 'ssh', signingKey: 'OPENSSH KEY\n', signingKeyPassphrase: 'ssh secret' } });
+    expect(await ssh.setup()).toEqual({ configured: true });
+    const sshDirectory = ssh.directory;
+    expect(written('signing_key')).toEqual([`${sshDirectory}/signing_key`, 'OPENSSH KEY\n', { mode: 0o600 }]);
+    expect(written('askpass.sh')[1]).toBe(`#!/bin/sh\ncat '${sshDirectory}/passphrase'\n`);
+    const keygen = exec.exec.mock.calls.find(([cmd]) => cmd === 'ssh-keygen');
+    expect(keygen[1]).toEqual(['-p', '-q', '-f', `${sshDirectory}/signing_key`, '-N', '']);
+    expect(keygen[2].env).toMatchObject({ SSH_ASKPASS: `${sshDirectory}/askpass.sh`, SSH_ASKPASS_REQUIRE: 'force' });
+    expect(calls().some(call => call.includes('ssh secret'))).toBe(false);
+    expect(fs.rmSync).toHaveBeenCalledWith(`${sshDirectory}/passphrase`, { force: true });
+    expect(calls()).toContain(`git config --local user.signingkey ${sshDirectory}/signing_key`);
+
+    exec.exec.mockClear();
+    await ssh.cleanup();
+    expect(calls()).toEqual(['git config --local --unset gpg.format', 'git config --local --unset user.signingkey']);
+    expect(fs.rmSync).toHaveBeenCalledWith(sshDirectory, { recursive: true, force: true });
+
+    // A key that fails to import leaves nothing behind
+    exec.exec.mockImplementation(async (cmd, args, options) => {
+      if (cmd === 'ssh-keygen') {
+        options.listeners.stderr(Buffer.from('incorrect passphrase supplied to decrypt private key'));
+        return 255;
+      }
+      return 0;
+    });
+    fs.rmSync.mockClear();
+    const failing = new SigningKeyring({ inputs: { signingMethod: 'ssh', signingKey: 'OPENSSH KEY', signingKeyPassphrase: 'wrong' } });
+    await expect(failing.setup()).rejects.toThrow('Failed to set up SSH signing: incorrect passphrase supplied to decrypt private key');
+    expect(fs.rmSync).toHaveBeenCalledWith(expect.stringContaining('release-signing-'), { recursive: true, force: true });
+    expect(failing.directory).toBeNull();
+
+    if (previousHome === undefined) {
+      delete process.env.GNUPGHOME;
+    } else {
+      process.env.GNUPGHOME = previousHome;
+    }
+    ['mkdtempSync', 'chmodSync', 'writeFileSync', 'rmSync'].forEach(name => delete fs[name]);
+    exec.exec.mockReset();
+  });
+
+  test('changelog is committed through the API without touching the workspace', async () => {
+    const exec = require('@actions/exec');
+    const fs = require('fs');
+    const GitUtils = require('../src/utils/git');
+    const ChangelogManager = require('../src/modules/changelog');
+
+    const git = {
+      getRef: jest.fn(async () => ({ data: { object: { sha: 'main1' } } })),
+      getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree1' } } })),
+      createBlob: jest.fn(async () => ({ data: { sha: 'blob1' } })),
+      createTree: jest.fn(async () => ({ data: { sha: 'tree2' } })),
+      createCommit: jest.fn(async () => ({ data: { sha: 'commit3abcdef' } })),
+      createRef: jest.fn(),
+      updateRef: jest.fn(async () => ({ data: {} }))
+    };
+    const repos = {
+      getContent: jest.fn(async () => ({ data: { content: Buffer.from('# Changelog\n\n## [1.0.0] - 2024-01-01\n').toString('base64'), encoding: 'base64' } }))
+    };
+    const config = {
+      isProductionEnvironment: true,
+      isChangelogEnabled: true,
+      inputs: { changelogCommitMethod: 'api', changelogPullRequest: false, targetBranch: 'main', environment: 'PROD', changelogFile: 'CHANGELOG.md' }
+    };
+    const gitUtils = new GitUtils(config, { rest: { git, repos } });
+    const releaseManager = { createPullRequestForChangelog: jest.fn() };
+    const changelog = new ChangelogManager(config, gitUtils, releaseManager);
+
+    exec.exec.mockClear();
+    fs.promises.writeFile.mockClear();
+    const versionInfo = { newVersion: '1.1.0', tagName: 'v1.1.0' };
+    const result = await changelog.publish({
+      versionInfo,
+      targets: [{ versionInfo, changelogFile: 'CHANGELOG.md', releaseNotes: { releaseNotes: '## v1.1.0\n\n### Public\nNew search\n' } }]
+    });
+
+    expect(result).toMatchObject({ success: true, committed: true, branch: 'main', files: ['CHANGELOG.md'], onTargetBranch: true });
+    expect(repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'CHANGELOG.md', ref: 'main1' }));
+    const content = Buffer.from(git.createBlob.mock.calls[0][0].content, 'base64').toString();
+    expect(content.indexOf('## [1.1.0]')).toBeLessThan(content.indexOf('## [1.0.0]'));
+    expect(git.createTree).toHaveBeenCalledWith(expect.objectContaining({ base_tree: 'tree1' }));
+    expect(git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: ['main1'] }));
+    expect(git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/main', sha: 'commit3abcdef', force: false }));
+    expect(releaseManager.createPullRequestForChangelog).not.toHaveBeenCalled();
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    expect(exec.exec).not.toHaveBeenCalled();
+
+    expect(await changelog.rollback({}, result)).toMatchObject({ rolledBack: false, undoable: false });
+    
+    // A changelog PR branch starts from the target branch on GitHub, not from the possibly stale checkout
+    git.getRef.mockImplementation(async () => ({ data: { object: { sha: 'main2' } } }));
+    git.createCommit.mockClear();
+    const prChangelog = new ChangelogManager({ ...config, inputs: { ...config.inputs, changelogPullRequest: true } }, gitUtils, null);
+    const prResult = await prChangelog.publishViaApi({ versionInfo, targets: [{ versionInfo, changelogFile: 'CHANGELOG.md', releaseNotes: { releaseNotes: '## v1.1.0\n' } }] }, 'release/v1.1.0');
+    
+    expect(prResult).toMatchObject({ success: true, committed: true, branch: 'release/v1.1.0', branchCreated: true });
+    expect(git.getRef).toHaveBeenLastCalledWith(expect.objectContaining({ ref: 'heads/main' }));
+    expect(git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: ['main2'] }));
+    expect(git.createRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/release/v1.1.0', sha: 'commit3abcdef' }));
+    expect(exec.exec).not.toHaveBeenCalled();
+  });
+
+  test('conventional commits are parsed with scopes and footers and feed versions and changelogs', () => {
+    const { parseConventionalCommit } = require('../src/utils/commits');
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ChangelogManager = require('../src/modules/changelog');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const Config = require('../src/utils/config');
+
+    expect(parseConventionalCommit('feat(api)!: drop the v1 endpoints')).toMatchObject({
+      type: 'feat', scope: 'api', breaking: true, breakingNotes: ['drop the v1 endpoints'], description: 'drop the v1 endpoints'
+    });
+    expect(parseConventionalCommit('feature-flag cleanup')).toBeNull();
+    expect(parseConventionalCommit('wip: try things')).toBeNull();
+    expect(parseConventionalCommit('Fix(ui): align', [{ key: 'Refs', value: '#12' }])).toMatchObject({ type: 'fix', scope: 'ui', breaking: false, footers: [{ key: 'Refs', value: '#12' }] });
+
+    const inputs = { commit_types: 'feat=New Features, fix, deps=Dependencies', version_strategy: 'auto' };
+    const config = new Config({ getInput: name => inputs[name] || '' });
+    expect(config.inputs.commitTypes).toEqual([
+      { type: 'feat', title: 'New Features' },
+      { type: 'fix', title: 'Bug Fixes' },
+      { type: 'deps', title: 'Dependencies' }
+    ]);
+
+    const commits = [
+      { message: 'feature-flag cleanup', shortSha: 'a1' },
+      { message: 'fix(ui): align the header', shortSha: 'b2' },
+      { message: 'deps: bump axios', shortSha: 'c3' },
+      { message: 'fix(api): retry timeouts', shortSha: 'd4' },
+      { message: 'fix: typo', shortSha: 'e5' }
+    ];
+    const analyzer = new PRAnalyzer(config, 'token');
+    const analysis = analyzer.analyzeChanges({ title: 'Range', labels: [] }, '', commits);
+    expect(analysis.isFeature).toBe(false);
+    expect(analysis.scopes).toEqual(['ui', 'api']);
+    expect(analyzer.explainVersionIncrement(analysis).increment).toBe('patch');
+
+    commits.push({ message: 'refactor(core)!: new plugin API', trailers: [{ key: 'BREAKING CHANGE', value: 'plugins export a factory' }], shortSha: 'f6' });
+    config.inputs.commitTypes.push({ type: 'refactor', title: 'Refactoring' });
+    const major = analyzer.analyzeChanges({ title: 'Range', labels: [] }, '', commits);
+    expect(major.breakingNotes).toEqual(['plugins export a factory']);
+    expect(analyzer.explainVersionIncrement(major).increment).toBe('major');
+
+    // A wrapped footer on a commit read from git still makes a major release with its full note
+    const { describeCommit } = require('../src/utils/commits');
+    const wrapped = { message: 'chore: new config', shortSha: 'g7', ...describeCommit('chore: new config\n\nBREAKING CHANGE: the config\nformat changed.') };
+    const wrappedAnalysis = analyzer.analyzeChanges({ title: 'feat: new config', labels: [] }, '', [wrapped]);
+    expect(wrappedAnalysis.isBreakingChange).toBe(true);
+    expect(wrappedAnalysis.breakingNotes).toEqual(['the config format changed.']);
+    expect(analyzer.explainVersionIncrement(wrappedAnalysis).increment).toBe('major');
+
+    // Only commits are parsed, the PR title says nothing once its commits are known
+    expect(wrappedAnalysis.isFeature).toBe(false);
+    expect(analyzer.analyzeChanges({ title: 'feat!: drop v1', labels: [] }, '', []).isBreakingChange).toBe(false);
+
+    const entry = new ChangelogManager(config).formatChangelogEntry('## v2.0.0\n\n### Public\nChanges\n', { newVersion: '2.0.0' }, { commits, analysis: major });
+    expect(entry).toContain('### ⚠️ Breaking Changes\n- plugins export a factory');
+    expect(entry).toContain('### Bug Fixes\n- typo\n- **api:** retry timeouts\n- **ui:** align the header\n');
+    expect(entry).toContain('### Dependencies\n- bump axios\n');
+    expect(entry.indexOf('### Bug Fixes')).toBeLessThan(entry.indexOf('### Dependencies'));
+    expect(entry).not.toContain('feature-flag');
+
+    const prompt = new ReleaseNotesGenerator(config).buildAIPrompt({ commits, analysis: major }, { newVersion: '2.0.0' });
+    expect(prompt).toContain('fix(api): retry timeouts (d4) [type: fix, scope: api]');
+    expect(prompt).toContain('Scopes: ui, api, core');
+    expect(prompt).toContain('Breaking: Yes\n  - plugins export a factory');
+  });
+
+  test('large pull requests are paginated and analyzed from their file list', async () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const { createFixtureOctokit } = require('../src/utils/fixture-octokit');
+    
+    const commits = Array.from({ length: 120 }, (_, index) => ({
+      sha: `${index}`.padStart(40, 'a'),
+      commit: { message: `feat: change ${index}`, author: { name: 'Dev', email: 'dev@example.com', date: '2024-01-01' } },
+      parents: [{ sha: 'p'.repeat(40) }]
+    }));
+    const octokit = createFixtureOctokit({
+      'pulls.listCommits': [{ params: { pull_number: 7 }, data: commits }],
+      'pulls.listFiles': [{
+        params: { pull_number: 7 },
+        data: [
+          { filename: 'src/new.js', status: 'renamed', additions: 3, deletions: 1, previous_filename: 'src/old.js' },
+          { filename: 'docs/guide.md', status: 'added', additions: 10, deletions: 0 }
+        ]
+      }]
+    });
+    const analyzer = new PRAnalyzer({ inputs: {} }, 'token', octokit);
+    
+    expect(await analyzer.getPRCommits(7)).toHaveLength(120);
+    const files = await analyzer.getPRFiles(7);
+    expect(files[0]).toEqual({ filename: 'src/new.js', status: 'renamed', additions: 3, deletions: 1, previousFilename: 'src/old.js' });
+    expect(await analyzer.getPRFiles(8)).toBeNull();
+    
+    // GitHub refused the diff, the file list still drives the analysis
+    const analysis = analyzer.analyzeChanges({ title: 'feat: huge change' }, 'No diff available', [], files);
+    expect(analysis.diffAvailable).toBe(false);
+    expect(analysis.filesChanged).toEqual(['src/new.js', 'src/old.js', 'docs/guide.md']);
+    
+    const diff = [
+      'diff --git a/lib/a.js b/lib/b.js',
+      'similarity index 90%',
+      'rename from lib/a.js',
+      'rename to lib/b.js',
+      '--- a/lib/a.js',
+      '+++ b/lib/b.js',
+      '-old',
+      '+new',
+      '+more',
+      'diff --git a/gone.txt b/gone.txt',
+      'deleted file mode 100644',
+      '--- a/gone.txt',
+      '+++ /dev/null',
+      '-bye'
+    ].join('\n');
+    expect(analyzer.parseDiffFiles(diff)).toEqual([
+      { filename: 'lib/b.js', status: 'renamed', additions: 2, deletions: 1, previousFilename: 'lib/a.js' },
+      { filename: 'gone.txt', status: 'removed', additions: 0, deletions: 1, previousFilename: null }
+    ]);
+    expect(analyzer.analyzeChanges({ title: 'fix: x' }, diff).filesChanged).toEqual(['lib/b.js', 'lib/a.js', 'gone.txt']);
+  });
+
+  test('linked issues are resolved and rendered as links', async () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const ChangelogManager = require('../src/modules/changelog');
+    const { createFixtureOctokit } = require('../src/utils/fixture-octokit');
+    const { findIssueReferences } = require('../src/utils/issues');
+    
+    const references = findIssueReferences('feat: sso (#45)\n\nFixes #12, see other/lib#3 and test-owner/test-repo#12. Resolves PROJ-7, not proj-8', {
+      owner: 'test-owner', repo: 'test-repo', trackerKeys: ['PROJ']
+    });
+    expect(references.map(reference => [reference.key, reference.closing])).toEqual([['#12', true], ['other/lib#3', false], ['PROJ-7', true]]);
+    
+    const octokit = createFixtureOctokit({
+      'issues.get': [{ params: { issue_number: 12 }, data: { title: 'Login fails with SSO', labels: [{ name: 'bug' }], state: 'closed', html_url: 'https://github.com/test-owner/test-repo/issues/12' } }]
+    });
+    const config = {
+      inputs: { issueTrackerKeys: ['PROJ'], issueTrackerUrl: 'https://jira.example.com/browse/{key}', environment: 'PROD', maxCommitsFallback: 10, includeCommitLinks: false }
+    };
+    const analyzer = new PRAnalyzer(config, 'token', octokit);
+    const linkedIssues = await analyzer.getLinkedIssues({ title: 'Support SSO', body: 'Fixes #12 and other/lib#3' }, [{ message: 'fix: token refresh\n\nRefs PROJ-7' }]);
+    
+    expect(linkedIssues).toEqual([
+      expect.objectContaining({ key: '#12', title: 'Login fails with SSO', labels: ['bug'], state: 'closed', closing: true }),
+      // Not reachable with the token, still linked
+      expect.objectContaining({ key: 'other/lib#3', title: null, url: 'https://github.com/other/lib/issues/3' }),
+      expect.objectContaining({ key: 'PROJ-7', url: 'https://jira.example.com/browse/PROJ-7' })
+    ]);
+    
+    const prAnalysis = {
+      commits: [],
+      analysis: { title: 'Support SSO', body: '', changeTypes: ['bugfix'], filesChanged: [], isBugfix: true, linkedIssues }
+    };
+    const versionInfo = { newVersion: '1.3.0', buildNumber: '1' };
+    const generator = new ReleaseNotesGenerator(config);
+    
+    expect(generator.buildAIPrompt(prAnalysis, versionInfo)).toContain('  - #12 Login fails with SSO [bug] (closed by this change)');
+    expect(generator.generateFromTemplate(prAnalysis, versionInfo).releaseNotes)
+      .toContain('### Linked Issues\n- [#12](https://github.com/test-owner/test-repo/issues/12) Login fails with SSO\n- [other/lib#3](https://github.com/other/lib/issues/3)\n- [PROJ-7](https://jira.example.com/browse/PROJ-7)');
+    
+    const entry = new ChangelogManager(config).formatChangelogEntry('## v1.3.0\n\n### Public\n- Fixed SSO login\n', versionInfo, prAnalysis);
+    expect(entry).toContain('### Linked Issues\n- [#12](https://github.com/test-owner/test-repo/issues/12) Login fails with SSO');
+  });
+
+  test('contributors are credited once per login, bots excluded, first-timers flagged', async () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const GitHubReleaseManager = require('../src/modules/github-release');
+    const ChangelogManager = require('../src/modules/changelog');
+    const SlackNotifier = require('../src/modules/slack');
+    const { createFixtureOctokit } = require('../src/utils/fixture-octokit');
+    
+    const octokit = createFixtureOctokit({
+      'search.issuesAndPullRequests': [
+        { params: { q: 'repo:test-owner/test-repo is:pr is:merged author:alice' }, data: { total_count: 1 } },
+        { params: { q: 'repo:test-owner/test-repo is:pr is:merged author:bob' }, data: { total_count: 14 } }
+      ]
+    });
+    const config = { inputs: { includeContributors: true, slackContributors: true, environment: 'PROD' } };
+    const analyzer = new PRAnalyzer(config, 'token', octokit);
+    
+    const pullRequests = [
+      { number: 5, user: { login: 'alice', type: 'User' } },
+      { number: 6, user: { login: 'bob', type: 'User' } },
+      { number: 7, user: { login: 'renovate[bot]', type: 'Bot' } }
+    ];
+    const commits = [
+      { author: 'Alice Liddell', email: '123+alice@users.noreply.github.com', trailers: [{ key: 'Co-authored-by', value: 'Carol Danvers <carol@example.com>' }] },
+      { author: 'Bob', email: 'bob@example.com', login: 'bob', trailers: [] },
+      { author: 'github-actions[bot]', email: '41898282+github-actions[bot]@users.noreply.github.com', trailers: [] },
+      { author: 'Carol Danvers', email: 'carol@example.com', trailers: [] }
+    ];
+    
+    const contributors = await analyzer.getContributors(pullRequests, commits);
+    expect(contributors).toEqual([
+      { login: 'alice', name: 'Alice Liddell', pullRequests: [5], firstTime: true },
+      { login: 'bob', name: 'Bob', pullRequests: [6], firstTime: false },
+      // Commit-only contributors are not checked for a first contribution
+      { login: null, name: 'Carol Danvers', pullRequests: [], firstTime: false }
+    ]);
+    
+    const prAnalysis = { analysis: { changeTypes: [], filesChanged: [], contributors } };
+    const body = await new GitHubReleaseManager(config, 'token').buildReleaseBody('notes', { newVersion: '1.3.0', buildNumber: '1' }, prAnalysis);
+    expect(body).toContain('## Contributors\n- @alice 🎉 first contribution\n- @bob\n- Carol Danvers');
+    
+    const entry = new ChangelogManager(config).formatChangelogEntry('### Public\n- Change\n', { newVersion: '1.3.0' }, prAnalysis);
+    expect(entry).toContain('### Contributors\n- [@alice](https://github.com/alice) (first contribution)\n- [@bob](https://github.com/bob)\n- Carol Danvers');
+    
+    const message = new SlackNotifier(config).buildSlackMessage('Deployed', { tagName: 'v1.3.0' }, prAnalysis);
+    expect(message).toContain('👥 Contributors: alice 🎉, bob, Carol Danvers');
+    
+    config.inputs.includeContributors = false;
+    expect(await new GitHubReleaseManager(config, 'token').buildReleaseBody('notes', { newVersion: '1.3.0', buildNumber: '1' }, prAnalysis)).not.toContain('Contributors');
+    
+    // Commits pushed with a work email are matched to their PR author through the account GitHub lists for them
+    const pushed = new PRAnalyzer(config, 'token', createFixtureOctokit({
+      'repos.compareCommitsWithBasehead': [{ params: { basehead: 'v1.2.0...head-sha', page: 1 }, data: { commits: [{ sha: 'a1', author: { login: 'dave', type: 'User' } }] } }],
+      'repos.compareCommitsWithBasehead:diff': [{ data: '' }],
+      'repos.listPullRequestsAssociatedWithCommit': [{ data: [{ number: 9, title: 'Add search', merged_at: '2024-01-01', labels: [], user: { login: 'dave', type: 'User' } }] }],
+      'repos.listCommits': [{ params: { sha: 'head-sha' }, data: [{ sha: 'a1', author: { login: 'dave', type: 'User' } }] }],
+      'search.issuesAndPullRequests': [{ data: { total_count: 5 } }]
+    }));
+    const gitCommits = [{ hash: 'a1', shortHash: 'a1', message: 'feat: search', subject: 'feat: search', trailers: [], parents: ['p1'], author: 'Dave Lister', email: 'dave@work.example' }];
+    const pushAnalysis = await pushed.analyzeCommitRange(gitCommits, 'v1.2.0', 'head-sha');
+    expect(pushAnalysis.commits[0]).toMatchObject({ login: 'dave', authorType: 'User' });
+    expect(pushAnalysis.analysis.contributors).toEqual([{ login: 'dave', name: 'Dave Lister', pullRequests: [9], firstTime: false }]);
+    
+    // Before the first release the recent commits GitHub lists stand in for the range
+    expect((await pushed.getCommitAccounts(gitCommits, null, 'head-sha')).get('a1')).toEqual({ login: 'dave', type: 'User' });
+  });
+
+  test('path rules classify changed files into public and internal categories', () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const ChangelogManager = require('../src/modules/changelog');
+    const { validateConfigFile } = require('../src/utils/config-file');
+    
+    const pathRules = [
+      { paths: ['src/api/**'], category: 'API' },
+      { paths: ['migrations/**', '*.sql'], category: 'Database', visibility: 'internal' }
+    ];
+    expect(validateConfigFile({ path_rules: pathRules })).toEqual([]);
+    expect(validateConfigFile({ path_rules: [{ paths: ['x/**'], category: 'X', visibility: 'secret' }] }))
+      .toEqual(['path_rules[0].visibility: must be equal to one of the allowed values']);
+    
+    const config = { inputs: { pathRules, environment: 'PROD', maxCommitsFallback: 10 } };
+    const analyzer = new PRAnalyzer(config, 'token', {});
+    const files = [
+      { filename: 'src/api/users.js', status: 'modified', additions: 10, deletions: 2, previousFilename: null },
+      { filename: 'migrations/002_users.sql', status: 'added', additions: 5, deletions: 0, previousFilename: null },
+      { filename: 'README.md', status: 'modified', additions: 1, deletions: 1, previousFilename: null }
+    ];
+    const analysis = analyzer.analyzeChanges({ title: 'Update stuff' }, 'No diff available', [], files);
+    
+    expect(analysis.pathCategories).toEqual([
+      { category: 'API', visibility: 'public', files: ['src/api/users.js'] },
+      { category: 'Database', visibility: 'internal', files: ['migrations/002_users.sql'] }
+    ]);
+    expect(analysis.changeTypes).toEqual(['api', 'database']);
+    expect(analysis.isInternalOnly).toBe(false);
+    
+    const notes = new ReleaseNotesGenerator(config).generateFromTemplate({ commits: [], analysis }, { newVersion: '1.3.0', buildNumber: '1' }).releaseNotes;
+    expect(notes).toContain('### Public\nChanges to API\n\n### API\n- `src/api/users.js` (modified, +10 −2)\n\n### Internal');
+    expect(notes).toContain('### Database\n- `migrations/002_users.sql` (added, +5 −0)');
+    
+    const entry = new ChangelogManager(config).formatChangelogEntry(notes, { newVersion: '1.3.0' }, { commits: [], analysis });
+    expect(entry).toContain('### API\n- `src/api/users.js` (modified, +10 −2)');
+    expect(entry).not.toContain('### Database');
+    
+    // Only internal files changed
+    const internal = analyzer.analyzeChanges({ title: 'Tidy up' }, 'No diff available', [], [files[1]]);
+    expect(internal.isInternalOnly).toBe(true);
+    expect(new ReleaseNotesGenerator(config).generateFromTemplate({ commits: [], analysis: internal }, { newVersion: '1.3.1', buildNumber: '2' }).releaseNotes)
+      .toContain('### Public\nNo user-facing changes');
+  });
+
+  test('dependency changes are read from manifest and lockfile diffs', () => {
+    const PRAnalyzer = require('../src/utils/pr-analyzer');
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const ChangelogManager = require('../src/modules/changelog');
+    
+    const diff = [
+      'diff --git a/package.json b/package.json',
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -1,9 +1,9 @@',
+      '   "name": "app",',
+      '-  "version": "1.0.0",',
+      '+  "version": "1.1.0",',
+      '   "dependencies": {',
+      '-    "moment": "^2.29.4",',
+      '-    "react": "^17.0.2"',
+      '+    "react": "^18.2.0",',
+      '+    "zod": "^3.22.4"',
+      '   }',
+      'diff --git a/package-lock.json b/package-lock.json',
+      '--- a/package-lock.json',
+      '+++ b/package-lock.json',
+      '@@ -10,4 +10,8 @@',
+      '     "node_modules/react": {',
+      '-      "version": "17.0.2",',
+      '+      "version": "18.2.0",',
+      '+    "node_modules/js-tokens": {',
+      '+      "version": "4.0.0"',
+      'diff --git a/api/requirements.txt b/api/requirements.txt',
+      '--- a/api/requirements.txt',
+      '+++ b/api/requirements.txt',
+      '@@ -1,2 +1,2 @@',
+      '-requests==2.31.0',
+      '+requests==2.32.3',
+      ' flask>=2.0'
+    ].join('\n');
+    
+    const config = { inputs: { environment: 'PROD', maxCommitsFallback: 10 } };
+    const analysis = new PRAnalyzer(config, 'token', {}).analyzeChanges({ title: 'Bump deps' }, diff, []);
+    
+    // js-tokens only moved in the lockfile of a manifest that changed, so it is a transitive dependency
+    expect(analysis.dependencies).toEqual([
+      { name: 'moment', ecosystem: 'npm', manifest: 'package.json', from: '^2.29.4', to: null, change: 'removed', major: false },
+      { name: 'react', ecosystem: 'npm', manifest: 'package.json', from: '17.0.2', to: '18.2.0', change: 'upgraded', major: true },
+      { name: 'zod', ecosystem: 'npm', manifest: 'package.json', from: null, to: '^3.22.4', change: 'added', major: false },
+      { name: 'requests', ecosystem: 'pip', manifest: 'api/requirements.txt', from: '2.31.0', to: '2.32.3', change: 'upgraded', major: false }
+    ]);
+    expect(analysis.changeTypes).toContain('dependencies');
+    
+    const notes = new ReleaseNotesGenerator(config).generateFromTemplate({ commits: [], analysis }, { newVersion: '1.3.0', buildNumber: '1' }).releaseNotes;
+    expect(notes).toContain('### Public\nDependency updates');
+    expect(notes).toContain('### Dependencies\n- Removed `moment` ^2.29.4\n- Upgraded `react` from 17.0.2 to 18.2.0 ⚠️ major\n- Added `zod` ^3.22.4\n- Upgraded `requests` from 2.31.0 to 2.32.3');
+    
+    const entry = new ChangelogManager(config).formatChangelogEntry(notes, { newVersion: '1.3.0' }, { commits: [], analysis });
+    expect(entry).toContain('### Dependencies\n- Removed `moment` ^2.29.4\n- Upgraded `react` from 17.0.2 to 18.2.0 ⚠️ major');
+    
+    // Without a diff there is nothing to parse
+    expect(new PRAnalyzer(config, 'token', {}).analyzeChanges({ title: 'Bump deps' }, 'No diff available', [], []).dependencies).toEqual([]);
+  });
+
+  test('the AI prompt carries a condensed diff within the token budget', () => {
+    const ReleaseNotesGenerator = require('../src/modules/release-notes');
+    const { condenseDiff, estimateTokens } = require('../src/utils/diff-context');
+    
+    const filler = Array.from({ length: 30 }, (_, index) => `+  line ${index} of a long test fixture`).join('\n');
+    const diff = [
+      'diff --git a/src/api/users.js b/src/api/users.js',
+      'index 1..2 100644',
+      '--- a/src/api/users.js',
+      '+++ b/src/api/users.js',
+      '@@ -1,3 +1,4 @@',
+      ' const db = require(\'./db\');',
+      '-async function getUser(id) {',
+      '+async function getUser(id, { includeDeleted = false } = {}) {',
+      '+  if (!includeDeleted) return db.users.findActive(id);',
+      'diff --git a/__tests__/users.test.js b/__tests__/users.test.js',
+      '--- a/__tests__/users.test.js',
+      '+++ b/__tests__/users.test.js',
+      '@@ -1,1 +1,31 @@',
+      filler,
+      'diff --git a/package-lock.json b/package-lock.json',
+      '--- a/package-lock.json',
+      '+++ b/package-lock.json',
+      '@@ -1,1 +1,1 @@',
+      '-      "version": "1.0.0",',
+      '+      "version": "1.0.1",',
+      'diff --git a/assets/logo.png b/assets/logo.png',
+      'Binary files a/assets/logo.png and b/assets/logo.png differ'
+    ].join('\n');
+    
+    // The definition change outranks the longer test hunk, which no longer fits
+    const condensed = condenseDiff(diff, { tokenBudget: 80 });
+    expect(condensed.text).toBe([
+      'diff --git a/src/api/users.js b/src/api/users.js',
+      '@@ -1,3 +1,4 @@',
+      ' const db = require(\'./db\');',
+      '-async function getUser(id) {',
+      '+async function getUser(id, { includeDeleted = false } = {}) {',
+      '+  if (!includeDeleted) return db.users.findActive(id);'
+    ].join('\n'));
+    expect(condensed).toMatchObject({ includedHunks: 1, omittedHunks: 1, estimatedTokens: estimateTokens(condensed.text) });
+    expect(condensed.estimatedTokens).toBeLessThanOrEqual(80);
+    expect(condensed.skippedFiles).toEqual([
+      { file: 'package-lock.json', reason: 'lockfile' },
+      { file: 'assets/logo.png', reason: 'binary' }
+    ]);
+    expect(condenseDiff(diff, { tokenBudget: 10000 }).includedHunks).toBe(2);
+    
+    const prAnalysis = {
+      diff,
+      commits: [],
+      analysis: { title: 'Soft deletes', body: '', author: 'dev', changeTypes: [], filesChanged: ['src/api/users.js', '__tests__/users.test.js', 'package-lock.json', 'assets/logo.png'], diffAvailable: true }
+    };
+    const versionInfo = { newVersion: '1.3.0', buildNumber: '1' };
+    const generator = new ReleaseNotesGenerator({ inputs: { environment: 'PROD', diffTokenBudget: 80 } });
+    const prompt = generator.buildAIPrompt(prAnalysis, versionInfo);
+    
+    expect(prompt).toContain(`DIFF (most relevant hunks, about ${condensed.estimatedTokens} tokens, 1 less relevant hunk(s) left out, skipped package-lock.json (lockfile), assets/logo.png (binary)):\n\`\`\`diff\n${condensed.text}\n\`\`\``);
+    expect(generator.interpolateTemplate('Be brief', prAnalysis, versionInfo)).toContain(condensed.text);
+    
+    generator.config.inputs.diffTokenBudget = 0;
+    expect(generator.buildAIPrompt(prAnalysis, versionInfo)).toContain('DIFF: not included');
   });
-});
\ No newline at end of file
+});
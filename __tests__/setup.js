@@ -61,7 +61,9 @@ jest.mock('fs', () => ({
     readFile: jest.fn(),
     access: jest.fn(),
     unlink: jest.fn(),
-    copyFile: jest.fn()
+    copyFile: jest.fn(),
+    readdir: jest.fn(),
+    stat: jest.fn()
   },
   existsSync: jest.fn()
 }));
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const core = require('@actions/core');
+
+const Config = require('./utils/config');
+
+// Nothing is published locally, so publishing inputs and their validation stay off
+const CLI_DEFAULTS = {
+  create_release: 'false',
+  update_changelog: 'false',
+  enable_slack: 'false',
+  preview_comment: 'false',
+  job_summary: 'false'
+};
+
+const USAGE = `Usage: ai-release-notes --event <payload.json> [options]
+
+Generates release notes for a saved event payload against the local checkout.
+
+Options:
+  --event <file>         Saved GitHub event payload (pull_request, push or workflow_dispatch)
+  --event-name <name>    Event name, inferred from the payload when omitted
+  --repo <owner/name>    Repository, defaults to the payload's repository
+  --config <file>        JSON file of action inputs, e.g. { "version_strategy": "auto" }
+  --input <name=value>   Set a single action input, can be repeated
+  --token <token>        GitHub token for API lookups, defaults to GITHUB_TOKEN
+  --fixture <file>       Answer API lookups from recorded responses instead of GitHub
+  --record <file>        Save the API responses of this run as a fixture (needs a token)
+  --output <file>        Write the release notes to a file instead of stdout
+  --json                 Print version, notes and Slack message as JSON
+  -h, --help             Show this help`;
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      event: { type: 'string' },
+      'event-name': { type: 'string' },
+      repo: { type: 'string' },
+      config: { type: 'string' },
+      input: { type: 'string', multiple: true },
+      token: { type: 'string' },
+      fixture: { type: 'string' },
+      record: { type: 'string' },
+      output: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  return values;
+}
+
+function loadInputValues(options) {
+  const values = { ...CLI_DEFAULTS };
+
+  if (options.config) {
+    Object.assign(values, readJson(options.config, 'config'));
+  }
+
+  for (const pair of options.input || []) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid --input ${pair}, expected name=value`);
+    }
+    values[pair.substring(0, separator).trim()] = pair.substring(separator + 1);
+  }
+
+  return values;
+}
+
+// Mirrors core.getInput so Config works unchanged, the repo config file still applies.
+// Unlike the runner it knows which inputs were given, so `--input name=` clears a file setting
+function createInputSource(values) {
+  const hasInput = name => values[name] !== undefined && values[name] !== null;
+
+  return {
+    getInput: name => (hasInput(name) ? String(values[name]).trim() : ''),
+    hasInput
+  };
+}
+
+function inferEventName(payload) {
+  if (payload.pull_request) return 'pull_request';
+  if (payload.ref && payload.after) return 'push';
+  return 'workflow_dispatch';
+}
+
+// @actions/github builds its context from these variables when first required
+function prepareContext(options, payload) {
+  const repo = options.repo || payload.repository?.full_name;
+  if (!repo || !repo.includes('/')) {
+    throw new Error('Cannot tell the repository from the payload, pass --repo owner/name');
+  }
+
+  process.env.GITHUB_EVENT_PATH = path.resolve(options.event);
+  process.env.GITHUB_EVENT_NAME = options['event-name'] || inferEventName(payload);
+  process.env.GITHUB_REPOSITORY = repo;
+  process.env.GITHUB_SHA = payload.after || payload.pull_request?.merge_commit_sha || '';
+  process.env.GITHUB_REF = payload.ref || (payload.pull_request ? `refs/pull/${payload.pull_request.number}/merge` : '');
+}
+
+function createOctokit(options, fixture) {
+  const github = require('@actions/github');
+  const { createFixtureOctokit, createRecordingOctokit } = require('./utils/fixture-octokit');
+  const token = options.token || process.env.GITHUB_TOKEN;
+
+  if (options.fixture) {
+    return createFixtureOctokit(readJson(options.fixture, 'fixture'));
+  }
+
+  if (!token) {
+    if (options.record) {
+      throw new Error('--record needs a GitHub token');
+    }
+    core.warning('No token or fixture given, GitHub API lookups will fail');
+    return createFixtureOctokit({});
+  }
+
+  const octokit = github.getOctokit(token);
+  return options.record ? createRecordingOctokit(octokit, fixture) : octokit;
+}
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${label} file ${file}: ${error.message}`);
+  }
+}
+
+async function run(argv = process.argv.slice(2)) {
+  const options = parseCliArgs(argv);
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return null;
+  }
+
+  if (!options.event) {
+    throw new Error(`--event is required\n\n${USAGE}`);
+  }
+
+  return withLogsOnStderr(print => generate(options, print));
+}
+
+// @actions/core logs to stdout, where the notes or JSON are printed, so the logs go to
+// stderr while `task` runs. `task` gets a function that still prints to stdout
+async function withLogsOnStderr(task) {
+  const writeStdout = process.stdout.write;
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+
+  try {
+    return await task(content => writeStdout.call(process.stdout, content));
+  } finally {
+    process.stdout.write = writeStdout;
+  }
+}
+
+async function generate(options, print) {
+  prepareContext(options, readJson(options.event, 'event'));
+
+  // Required only now, so they pick up the context prepared above
+  const github = require('@actions/github');
+  const GitUtils = require('./utils/git');
+  const PRAnalyzer = require('./utils/pr-analyzer');
+  const VersionManager = require('./modules/versioning');
+  const ReleaseNotesGenerator = require('./modules/release-notes');
+  const { analyzeChanges, getEventBranch, buildReleaseTargets, combineTargets } = require('./main');
+
+  const config = new Config(createInputSource(loadInputValues(options)), { branch: getEventBranch(github.context) });
+
+  const recorded = {};
+  const octokit = createOctokit(options, recorded);
+
+  // Scratch files go to a directory of their own, files of the same name in the checkout stay untouched
+  const scratchDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ai-release-notes-'));
+
+  const gitUtils = new GitUtils(config);
+  const prAnalyzer = new PRAnalyzer(config, null, octokit, scratchDir);
+  const versionManager = new VersionManager(config, gitUtils);
+  const releaseNotesGenerator = new ReleaseNotesGenerator(config, scratchDir);
+
+  let result;
+  try {
+    const prAnalysis = await analyzeChanges(config, github.context, prAnalyzer, gitUtils);
+    const targets = await buildReleaseTargets(config, prAnalysis, prAnalyzer);
+    const buildNumber = versionManager.generateBuildNumber();
+
+    for (const target of targets) {
+      const label = target.pkg ? ` for ${target.pkg.name}` : '';
+      target.versionDecision = prAnalyzer.explainVersionIncrement(target.prAnalysis.analysis);
+      core.info(`📊 Suggested version increment${label}: ${target.versionDecision.increment} (${target.versionDecision.reason})`);
+
+      target.versionInfo = await versionManager.generateVersion(target.versionDecision.increment, target.pkg);
+      target.versionInfo.buildNumber = buildNumber;
+      target.releaseNotes = await releaseNotesGenerator.generateReleaseNotes(target.prAnalysis, target.versionInfo);
+    }
+
+    result = targets.length > 0 ? combineTargets(targets) : null;
+  } finally {
+    await fs.promises.rm(scratchDir, { recursive: true, force: true });
+
+    if (options.record) {
+      fs.writeFileSync(options.record, JSON.stringify(recorded, null, 2));
+      core.info(`📼 Recorded API responses to ${options.record}`);
+    }
+  }
+
+  if (!result) {
+    core.info('⏭️  No configured package is affected by the changes');
+    return null;
+  }
+
+  const { versionInfo, releaseNotes } = result;
+  const content = options.json
+    ? JSON.stringify({
+      version: versionInfo.newVersion,
+      previous_version: versionInfo.previousVersion,
+      tag_name: versionInfo.tagName,
+      ai_generated: releaseNotes.aiGenerated,
+      release_notes: releaseNotes.releaseNotes,
+      slack_message: releaseNotes.slackMessage
+    }, null, 2)
+    : releaseNotes.releaseNotes;
+
+  if (options.output) {
+    fs.writeFileSync(options.output, `${content}\n`);
+    core.info(`📝 Release notes written to ${options.output}`);
+  } else {
+    print(`${content}\n`);
+  }
+
+  return result;
+}
+
+if (require.main === module) {
+  run().catch(error => {
+    process.stderr.write(`💥 ${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  run,
+  parseCliArgs,
+  createInputSource,
+  withLogsOnStderr,
+  inferEventName
+};
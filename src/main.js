@@ -1,5 +1,6 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const path = require('path');
 
 // Import our modules
 const Config = require('./utils/config');
@@ -7,25 +8,43 @@ const GitUtils = require('./utils/git');
 const PRAnalyzer = require('./utils/pr-analyzer');
 const VersionManager = require('./modules/versioning');
 const ReleaseNotesGenerator = require('./modules/release-notes');
-const SlackNotifier = require('./modules/slack');
-const GitHubReleaseManager = require('./modules/github-release');
-const ChangelogManager = require('./modules/changelog');
+const PreviewCommentManager = require('./modules/preview-comment');
+const JobSummary = require('./modules/job-summary');
+const { PublisherRegistry, createDefaultPublishers } = require('./modules/publishers');
+const SignificanceEvaluator = require('./utils/significance');
+const PackageResolver = require('./utils/packages');
+const ReleaseJournal = require('./utils/journal');
+const SigningKeyring = require('./utils/signing');
+const { globToRegExp } = require('./utils/glob');
+
+// Open-PR activity that refreshes the preview comment
+const PREVIEW_ACTIONS = ['opened', 'synchronize', 'reopened', 'edited'];
 
 async function run() {
+  // Everything the release changes outside this runner, so a failure can undo it
+  const journal = new ReleaseJournal();
+  let config;
+  let keyring = null;
+  let jobSummary = null;
+  // What the job summary reports, filled in as the run gets further, so a failure can report too
+  const summary = {};
+  
   try {
     core.info('🚀 Starting AI-Powered Release Notes Generator');
     
-    // Initialize configuration
-    const config = new Config();
+    // Initialize configuration, the released branch can pick the environment
+    const context = github.context;
+    config = new Config(core, { branch: getEventBranch(context) });
     core.info('✅ Configuration loaded and validated');
+    jobSummary = new JobSummary(config);
     
     // Check if this PR should trigger release notes
-    const context = github.context;
     const shouldRun = await checkTriggerConditions(config, context);
     if (!shouldRun.run) {
-      core.info(`⏭️  Skipping release notes generation: ${shouldRun.reason}`);
+      reportSkip(shouldRun.reason);
       return;
     }
+    summary.mode = shouldRun.mode;
     
     // Get GitHub token
     const token = core.getInput('token') || process.env.GITHUB_TOKEN;
@@ -34,160 +53,382 @@ async function run() {
     }
     
     // Initialize utilities and modules
-    const gitUtils = new GitUtils(config);
+    const gitUtils = new GitUtils(config, github.getOctokit(token));
     const prAnalyzer = new PRAnalyzer(config, token);
     const versionManager = new VersionManager(config, gitUtils);
     const releaseNotesGenerator = new ReleaseNotesGenerator(config);
-    const slackNotifier = new SlackNotifier(config);
-    const githubReleaseManager = new GitHubReleaseManager(config, token);
-    const changelogManager = new ChangelogManager(config);
+    const publishers = createDefaultPublishers(config, token, gitUtils);
+    const previewCommentManager = new PreviewCommentManager(config, token);
+    
+    // Analyze the PR, or every PR in the pushed or requested commit range
+    const prAnalysis = await analyzeChanges(config, context, prAnalyzer, gitUtils);
+    
+    const analysisCheck = checkAnalysisConditions(config, context, prAnalysis);
+    if (!analysisCheck.run) {
+      reportSkip(analysisCheck.reason);
+      return;
+    }
     
-    // Analyze the PR
-    core.info('🔍 Analyzing pull request...');
-    const prAnalysis = await prAnalyzer.analyzePR();
-    core.info(`✅ Analyzed PR #${prAnalysis.number}: ${prAnalysis.analysis.title}`);
+    // Notes corrected in the preview comment replace generated ones at merge time
+    if (shouldRun.mode === 'release' && context.eventName === 'pull_request' &&
+        config.isPreviewEnabled && !prAnalysis.analysis.authorReleaseNotes) {
+      prAnalysis.analysis.authorReleaseNotes = await previewCommentManager.getEditedReleaseNotes(prAnalysis.number, prAnalysis.pr?.user?.login);
+    }
+    
+    // Resolve what gets released: the whole repository, or each affected package
+    const targets = await buildReleaseTargets(config, prAnalysis, prAnalyzer);
+    if (targets.length === 0) {
+      reportSkip('No configured package is affected by the changes');
+      return;
+    }
+    core.setOutput('skipped', false);
     
-    // Determine version increment strategy
-    const versionIncrement = prAnalyzer.getSuggestedVersionIncrement(prAnalysis.analysis);
-    core.info(`📊 Suggested version increment: ${versionIncrement}`);
+    const buildNumber = versionManager.generateBuildNumber();
+    
+    // A re-run of a release that already got tagged or published resumes the same version
+    const releaseCommits = getReleaseCommits(context, prAnalysis);
+    const releasedTags = shouldRun.mode === 'release' && publishers.get('github-release')
+      ? await publishers.get('github-release').findReleaseTagsForCommits(releaseCommits)
+      : [];
+    
+    for (const target of targets) {
+      const label = target.pkg ? ` for ${target.pkg.name}` : '';
+      
+      // Determine version increment strategy, each package from its own changes
+      target.versionDecision = prAnalyzer.explainVersionIncrement(target.prAnalysis.analysis);
+      core.info(`📊 Suggested version increment${label}: ${target.versionDecision.increment} (${target.versionDecision.reason})`);
+      
+      // Generate version information
+      core.info(`🔢 Generating version information${label}...`);
+      target.versionInfo = shouldRun.mode === 'release'
+        ? await versionManager.findReleasedVersion(releaseCommits, target.pkg, releasedTags)
+        : null;
+      target.versionInfo = target.versionInfo || await versionManager.generateVersion(target.versionDecision.increment, target.pkg);
+      target.versionInfo.buildNumber = buildNumber;
+      
+      core.info(`✅ Version: ${target.versionInfo.newVersion} (previous: ${target.versionInfo.previousVersion || 'none'})`);
+      core.info(`🏗️  Build: ${buildNumber}`);
+      
+      // Generate release notes
+      core.info(`📝 Generating release notes${label}...`);
+      target.releaseNotes = await releaseNotesGenerator.generateReleaseNotes(target.prAnalysis, target.versionInfo);
+      const notesSource = target.releaseNotes.authorProvided ? ' from author' : (target.releaseNotes.aiGenerated ? ' with AI' : ' with template');
+      core.info(`✅ Release notes generated${notesSource}`);
+    }
     
-    // Generate version information
-    core.info('🔢 Generating version information...');
-    const versionInfo = await versionManager.generateVersion(versionIncrement);
-    versionInfo.buildNumber = versionManager.generateBuildNumber();
+    // Release tags and the changelog commit are only created by production releases
+    if (shouldRun.mode === 'release' && config.isProductionEnvironment) {
+      keyring = new SigningKeyring(config);
+      await keyring.setup();
+    }
     
-    core.info(`✅ Version: ${versionInfo.newVersion} (previous: ${versionInfo.previousVersion})`);
-    core.info(`🏗️  Build: ${versionInfo.buildNumber}`);
+    // Production releases secure their tags before anything is published
+    if (shouldRun.mode === 'release' && config.isProductionEnvironment && config.isReleaseEnabled) {
+      for (const target of targets) {
+        if (target.versionInfo.resumed && await gitUtils.remoteTagExists(target.versionInfo.tagName)) {
+          core.info(`🏷️  Tag ${target.versionInfo.tagName} already exists, skipping`);
+          continue;
+        }
+        
+        await secureReleaseTag(target, { config, gitUtils, versionManager, releaseNotesGenerator, versionIncrement: target.versionDecision.increment, journal });
+      }
+    }
     
-    // Generate release notes
-    core.info('📝 Generating release notes...');
-    const releaseNotes = await releaseNotesGenerator.generateReleaseNotes(prAnalysis, versionInfo);
-    core.info(`✅ Release notes generated${releaseNotes.aiGenerated ? ' with AI' : ' with template'}`);
+    const { versionInfo, releaseNotes } = combineTargets(targets);
+    Object.assign(summary, { targets, versionInfo, releaseNotes, prAnalysis });
     
     // Set core outputs
     core.setOutput('version', versionInfo.newVersion);
-    core.setOutput('previous_version', versionInfo.previousVersion);
+    core.setOutput('previous_version', versionInfo.previousVersion || '');
     core.setOutput('build_number', versionInfo.buildNumber);
     core.setOutput('release_notes', releaseNotes.releaseNotes);
     core.setOutput('ai_generated', releaseNotes.aiGenerated);
     core.setOutput('commits_analyzed', prAnalysis.commits.length);
+    core.setOutput('dependencies', JSON.stringify(prAnalysis.analysis.dependencies || []));
+    core.setOutput('resumed', targets.some(target => target.versionInfo.resumed));
     
-    // Create git tag if this is a production release
-    if (config.isProductionEnvironment && config.isReleaseEnabled) {
-      core.info('🏷️  Creating git tag...');
-      const tagCreated = await gitUtils.createTag(
-        versionInfo.tagName,
-        `Release ${versionInfo.tagName}\n\n${releaseNotes.releaseNotes}`
-      );
-      
-      if (tagCreated) {
-        const tagPushed = await gitUtils.pushTag(versionInfo.tagName);
-        if (!tagPushed) {
-          core.warning('Tag created locally but failed to push to remote');
-        }
-      }
+    if (config.isMonorepo) {
+      core.setOutput('packages', JSON.stringify(targets.map(target => ({
+        name: target.pkg.name,
+        path: target.pkg.path,
+        version: target.versionInfo.newVersion,
+        previous_version: target.versionInfo.previousVersion,
+        tag_name: target.versionInfo.tagName
+      }))));
     }
     
-    // Update changelog
-    let changelogResult = { updated: false };
-    if (config.isChangelogEnabled) {
-      core.info('📄 Updating changelog...');
-      changelogResult = await changelogManager.updateChangelog(releaseNotes, versionInfo, prAnalysis);
+    // Preview mode: show the projected notes on the open PR and publish nothing
+    if (shouldRun.mode === 'preview') {
+      core.info('👀 Posting release notes preview...');
+      const previewResult = await previewCommentManager.upsertPreviewComment(releaseNotes, versionInfo, prAnalysis);
+      core.setOutput('preview_comment_url', previewResult.url || '');
       
-      if (changelogResult.updated) {
-        core.info(`✅ Changelog updated: ${changelogResult.path}`);
-        
-        // Commit changelog if this is a production release
-        if (config.isProductionEnvironment) {
-          const branchName = `release/${versionInfo.tagName}`;
-          const commitMessage = `[skip ci] chore: update changelog for release ${versionInfo.tagName}`;
-          
-          const committed = await gitUtils.commitAndPush(
-            [config.inputs.changelogFile],
-            commitMessage,
-            branchName
-          );
-          
-          if (committed) {
-            core.info('✅ Changelog committed and pushed');
-          }
-        }
+      if (!previewResult.posted) {
+        core.warning(`Failed to post preview comment: ${previewResult.reason}`);
       }
+      
+      await jobSummary.write(summary);
+      
+      core.info(`\n🎊 Release notes preview for ${versionInfo.tagName} completed!`);
+      return;
     }
     
-    core.setOutput('changelog_updated', changelogResult.updated);
+    // Hand the release over to every registered publisher
+    const release = { targets, versionInfo, releaseNotes, prAnalysis };
+    const { results, failed } = await publishers.publishAll(release);
     
-    // Create GitHub release
-    let releaseResult = { created: false };
-    if (config.isReleaseEnabled) {
-      core.info('🎉 Creating GitHub release...');
-      releaseResult = await githubReleaseManager.createRelease(releaseNotes, versionInfo, prAnalysis);
-      
-      if (releaseResult.created) {
-        core.info(`✅ GitHub release created: ${releaseResult.url}`);
-      } else {
-        core.warning(`Failed to create GitHub release: ${releaseResult.reason}`);
-      }
-    }
+    recordPublisherResults(journal, publishers, release, results);
     
-    // Create changelog PR if needed
-    if (changelogResult.updated && config.isProductionEnvironment) {
-      const prResult = await githubReleaseManager.createPullRequestForChangelog(versionInfo, changelogResult.updated);
-      if (prResult.created) {
-        core.info(`✅ Changelog PR created: ${prResult.url}`);
-      }
-    }
+    core.setOutput('publishers', JSON.stringify(PublisherRegistry.summarize(results)));
+    core.setOutput('changelog_updated', results.changelog?.status === 'success');
+    core.setOutput('slack_sent', results.slack?.status === 'success');
     
-    // Send Slack notification
-    let slackResult = { sent: false };
-    if (config.isSlackEnabled) {
-      core.info('💬 Sending Slack notification...');
-      slackResult = await slackNotifier.sendNotification(releaseNotes, versionInfo, prAnalysis);
-      
-      if (slackResult.sent) {
-        core.info('✅ Slack notification sent successfully');
-      } else {
-        core.warning(`Failed to send Slack notification: ${slackResult.reason}`);
-      }
+    summary.results = results;
+    if (failed) {
+      throw new Error(`Required publisher ${failed} failed: ${results[failed].reason}`);
     }
     
-    core.setOutput('slack_sent', slackResult.sent);
+    await jobSummary.write(summary);
     
     // Final summary
     core.info('\n🎊 Release notes generation completed successfully!');
     core.info('📊 Summary:');
     core.info(`   • Version: ${versionInfo.newVersion}`);
     core.info(`   • AI Generated: ${releaseNotes.aiGenerated ? 'Yes' : 'No'}`);
-    core.info(`   • GitHub Release: ${releaseResult.created ? 'Created' : 'Skipped'}`);
-    core.info(`   • Changelog: ${changelogResult.updated ? 'Updated' : 'Skipped'}`);
-    core.info(`   • Slack: ${slackResult.sent ? 'Sent' : 'Skipped'}`);
+    for (const [name, result] of Object.entries(results)) {
+      core.info(`   • ${name}: ${result.status}${result.url ? ` (${result.url})` : ''}`);
+    }
     
   } catch (error) {
     core.error(`💥 Action failed: ${error.message}`);
     core.debug(`Stack trace: ${error.stack}`);
+    
+    if (config?.isRollbackEnabled && !journal.isEmpty) {
+      core.info('↩️  Rolling back the partial release...');
+      const report = await journal.rollback();
+      core.info(ReleaseJournal.formatReport(report));
+      core.setOutput('rollback_report', JSON.stringify(report));
+      core.setOutput('rolled_back', report.every(item => item.status !== 'failed'));
+      summary.rollbackReport = report;
+    }
+    
+    if (jobSummary) {
+      await jobSummary.write({ ...summary, error: error.message });
+    }
+    
     core.setFailed(error.message);
   } finally {
-    // Cleanup temporary files
+    // Remove the signing key and temporary files
+    if (keyring) {
+      await keyring.cleanup();
+    }
     await cleanup();
   }
 }
 
+// Every publisher that ran goes into the journal, a failed publish may still have left something behind
+function recordPublisherResults(journal, publishers, release, results) {
+  for (const publisher of publishers.getOrderedPublishers()) {
+    const result = results[publisher.name];
+    if (!result || result.status === 'skipped') continue;
+    
+    const undo = typeof publisher.rollback === 'function' ? () => publisher.rollback(release, result) : null;
+    journal.record(`publisher:${publisher.name}`, `${publisher.name} ${result.status}`, undo);
+  }
+}
+
+// Pushing a new tag is a compare-and-swap: if a concurrent release took the version
+// first, fetch its tag, allocate the next version and try again
+async function secureReleaseTag(target, { config, gitUtils, versionManager, releaseNotesGenerator, versionIncrement, journal }) {
+  const maxAttempts = config.inputs.tagMaxAttempts;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const tagName = target.versionInfo.tagName;
+    
+    core.info(`🏷️  Creating git tag ${tagName}...`);
+    const tagExisted = await gitUtils.tagExists(tagName);
+    if (!tagExisted && !await gitUtils.createTag(tagName, `Release ${tagName}\n\n${target.releaseNotes.releaseNotes}`, target.prAnalysis?.targetSha)) {
+      throw new Error(`Failed to create tag ${tagName}`);
+    }
+    
+    const push = await gitUtils.pushNewTag(tagName);
+    if (push.pushed) {
+      if (!tagExisted) {
+        journal.record('tag', `created tag ${tagName}`, () => gitUtils.deleteTag(tagName));
+      }
+      journal.record('tag-push', `pushed tag ${tagName}`, () => gitUtils.deleteRemoteTag(tagName));
+      return target.versionInfo;
+    }
+    
+    if (!push.rejected) {
+      throw new Error(`Failed to push tag ${tagName}: ${push.reason}`);
+    }
+    
+    core.warning(`Tag ${tagName} was taken by a concurrent release (attempt ${attempt}/${maxAttempts})`);
+    await gitUtils.deleteTag(tagName);
+    await gitUtils.fetchTags();
+    
+    const previousVersionInfo = target.versionInfo;
+    target.versionInfo = await versionManager.reallocateVersion(versionIncrement, target.pkg, previousVersionInfo);
+    target.versionInfo.buildNumber = previousVersionInfo.buildNumber;
+    target.releaseNotes = releaseNotesGenerator.updateVersionHeadings(target.releaseNotes, previousVersionInfo, target.versionInfo);
+    core.info(`🔢 Reallocated version: ${target.versionInfo.newVersion}`);
+  }
+  
+  throw new Error(`Could not secure a release tag after ${maxAttempts} attempts`);
+}
+
+async function analyzeChanges(config, context, prAnalyzer, gitUtils) {
+  if (context.eventName === 'workflow_dispatch') {
+    core.info('🔍 Analyzing requested commit range...');
+    const prAnalysis = await prAnalyzer.analyzeRange(gitUtils, config.inputs.fromRef, config.inputs.toRef);
+    core.info(`✅ Analyzed ${prAnalysis.commits.length} commits from ${prAnalysis.pullRequests.length} PRs`);
+    return prAnalysis;
+  }
+  
+  if (context.eventName === 'push') {
+    core.info('🔍 Analyzing commits since the last release...');
+    const prAnalysis = await prAnalyzer.analyzePush(gitUtils);
+    core.info(`✅ Analyzed ${prAnalysis.commits.length} commits from ${prAnalysis.pullRequests.length} PRs`);
+    return prAnalysis;
+  }
+  
+  core.info('🔍 Analyzing pull request...');
+  const prAnalysis = await prAnalyzer.analyzePR();
+  core.info(`✅ Analyzed PR #${prAnalysis.number}: ${prAnalysis.analysis.title}`);
+  return prAnalysis;
+}
+
+async function buildReleaseTargets(config, prAnalysis, prAnalyzer) {
+  if (!config.isMonorepo) {
+    return [{ pkg: null, prAnalysis, changelogFile: config.inputs.changelogFile }];
+  }
+  
+  const packageResolver = new PackageResolver(config);
+  const packages = await packageResolver.discoverPackages();
+  const affected = packageResolver.mapFilesToPackages(prAnalysis.analysis.filesChanged, packages);
+  core.info(`📦 Affected packages: ${affected.map(pkg => pkg.name).join(', ') || 'none'}`);
+  
+  const commitFiles = affected.length > 0 ? await prAnalyzer.getCommitFiles(prAnalysis.commits) : new Map();
+  
+  // Each package gets its own view of the analysis, scoped to its files and the commits that touched them
+  return affected.map(pkg => {
+    const packageInfo = { name: pkg.name, path: pkg.path };
+    const files = (prAnalysis.analysis.files || []).filter(file =>
+      pkg.files.includes(file.filename) || pkg.files.includes(file.previousFilename)
+    );
+    const pathCategories = (prAnalysis.analysis.pathCategories || [])
+      .map(category => ({ ...category, files: category.files.filter(file => pkg.files.includes(file)) }))
+      .filter(category => category.files.length > 0);
+    const dependencies = (prAnalysis.analysis.dependencies || []).filter(dependency => pkg.files.includes(dependency.manifest));
+    const commits = (prAnalysis.commits || []).filter(commit => isPackageCommit(commit, pkg, commitFiles));
+    
+    const changes = prAnalyzer.classifyChanges(commits, prAnalysis.analysis.labels);
+    pathCategories.forEach(({ category }) => changes.changeTypes.add(category.toLowerCase()));
+    if (dependencies.length > 0) {
+      changes.changeTypes.add('dependencies');
+    }
+    
+    return {
+      pkg: packageInfo,
+      prAnalysis: {
+        ...prAnalysis,
+        commits,
+        analysis: {
+          ...prAnalysis.analysis,
+          ...changes,
+          changeTypes: Array.from(changes.changeTypes),
+          filesChanged: pkg.files,
+          files,
+          pathCategories,
+          dependencies,
+          package: packageInfo
+        }
+      },
+      changelogFile: path.posix.join(pkg.path, config.inputs.changelogFile)
+    };
+  });
+}
+
+// A commit belongs to the packages it touched. When its files are unknown its conventional
+// scope decides, and a commit without one stays in every package
+function isPackageCommit(commit, pkg, commitFiles) {
+  if (commit.isMerge) return false;
+  
+  const files = commitFiles.get(commit.sha);
+  if (files) {
+    return files.some(file => file.startsWith(`${pkg.path}/`));
+  }
+  
+  const scope = commit.conventional?.scope;
+  return !scope || scope === pkg.name || scope === path.posix.basename(pkg.path);
+}
+
+// A requested range is released at its end, everything else at the commit that triggered the run
+function getReleaseCommits(context, prAnalysis) {
+  const commits = [prAnalysis.targetSha || context.sha, prAnalysis.pr?.merge_commit_sha].filter(Boolean);
+  return Array.from(new Set(commits));
+}
+
+function combineTargets(targets) {
+  if (targets.length === 1) {
+    return { versionInfo: targets[0].versionInfo, releaseNotes: targets[0].releaseNotes };
+  }
+  
+  const tagNames = targets.map(target => target.versionInfo.tagName).join(', ');
+  
+  return {
+    versionInfo: {
+      newVersion: tagNames,
+      previousVersion: targets.map(target => target.versionInfo.previousVersion || 'none').join(', '),
+      tagName: tagNames,
+      buildNumber: targets[0].versionInfo.buildNumber
+    },
+    releaseNotes: {
+      releaseNotes: targets.map(target => target.releaseNotes.releaseNotes).join('\n\n'),
+      slackMessage: targets.map(target => target.releaseNotes.slackMessage).join('\n\n'),
+      aiGenerated: targets.every(target => target.releaseNotes.aiGenerated),
+      authorProvided: targets.every(target => target.releaseNotes.authorProvided),
+      aiProvider: targets[0].releaseNotes.aiProvider,
+      fallbackReason: targets.map(target => target.releaseNotes.fallbackReason).find(Boolean) || null,
+      buildNumber: targets[0].versionInfo.buildNumber
+    }
+  };
+}
+
 async function checkTriggerConditions(config, context) {
+  if (context.eventName === 'push') {
+    return checkPushConditions(config, context);
+  }
+  
+  // Manual runs are an explicit request for the given range
+  if (context.eventName === 'workflow_dispatch') {
+    return { run: true, reason: 'Manual dispatch', mode: 'release' };
+  }
+  
   // Check if this is a pull request event
   if (context.eventName !== 'pull_request') {
-    return { run: false, reason: 'Not a pull request event' };
+    return { run: false, reason: `Unsupported event: ${context.eventName}` };
   }
   
   const pr = context.payload.pull_request;
   
-  // Check if PR is merged
-  if (!pr.merged) {
-    return { run: false, reason: 'PR is not merged' };
+  // Only the merge itself releases, later edits of a merged PR must not release it again.
+  // Open PRs only get a preview
+  let mode = 'release';
+  if (pr.merged) {
+    if (context.payload.action !== 'closed') {
+      return { run: false, reason: `PR is already merged, ignoring ${context.payload.action || 'unknown'} activity` };
+    }
+  } else {
+    if (!config.isPreviewEnabled || !PREVIEW_ACTIONS.includes(context.payload.action)) {
+      return { run: false, reason: 'PR is not merged' };
+    }
+    mode = 'preview';
   }
   
   // Check target branch
-  if (pr.base.ref !== config.inputs.targetBranch && 
-      !['main', 'master', 'dev', 'development'].includes(pr.base.ref)) {
+  if (!isAllowedBranch(config, pr.base.ref)) {
     return { run: false, reason: `Target branch ${pr.base.ref} not in allowed list` };
   }
   
@@ -199,15 +440,85 @@ async function checkTriggerConditions(config, context) {
     }
   }
   
-  // Check if we should skip for no changes
+  return { run: true, reason: 'All conditions met', mode };
+}
+
+function checkPushConditions(config, context) {
+  const ref = context.payload?.ref || '';
+  
+  // Tag pushes (including our own release tags) must not trigger a release
+  if (!ref.startsWith('refs/heads/')) {
+    return { run: false, reason: `Push to ${ref || 'unknown ref'} is not a branch push` };
+  }
+  
+  if (context.payload.deleted) {
+    return { run: false, reason: 'Branch was deleted' };
+  }
+  
+  const branch = ref.replace('refs/heads/', '');
+  if (!isAllowedBranch(config, branch)) {
+    return { run: false, reason: `Target branch ${branch} not in allowed list` };
+  }
+  
+  return { run: true, reason: 'All conditions met', mode: 'release' };
+}
+
+function checkAnalysisConditions(config, context, prAnalysis) {
+  // Check if we should skip for no significant changes
   if (config.inputs.skipIfNoChanges) {
-    // This could be enhanced to check for significant changes
-    core.info('Skip if no changes is enabled, but not implemented yet');
+    const significance = new SignificanceEvaluator(config).evaluate(prAnalysis);
+    if (!significance.significant) {
+      return { run: false, reason: `No significant changes: ${significance.reason}` };
+    }
+  }
+  
+  // Pull request events are otherwise fully checked before analysis
+  if (context.eventName === 'pull_request') {
+    return { run: true, reason: 'All conditions met' };
+  }
+  
+  if (prAnalysis.commits.length === 0) {
+    const reason = context.eventName === 'workflow_dispatch'
+      ? 'No commits in the requested range'
+      : 'No commits since the last release';
+    return { run: false, reason };
+  }
+  
+  // The trigger label can only be checked once the PRs behind the push are known
+  if (context.eventName === 'push' && config.inputs.triggerLabel &&
+      !prAnalysis.analysis.labels.includes(config.inputs.triggerLabel)) {
+    return { run: false, reason: `No associated PR has required label: ${config.inputs.triggerLabel}` };
   }
   
   return { run: true, reason: 'All conditions met' };
 }
 
+function reportSkip(reason) {
+  core.info(`⏭️  Skipping release notes generation: ${reason}`);
+  core.setOutput('skipped', true);
+  core.setOutput('skip_reason', reason);
+}
+
+function getEventBranch(context) {
+  if (context.eventName === 'pull_request') {
+    return context.payload.pull_request?.base?.ref || null;
+  }
+  
+  const ref = context.payload?.ref || context.ref || '';
+  return ref.startsWith('refs/heads/') ? ref.replace('refs/heads/', '') : null;
+}
+
+function isAllowedBranch(config, branch) {
+  // A branch to environment mapping doubles as the allow list
+  if ((config.inputs.branchEnvironments || []).length > 0) {
+    return Config.findBranchEnvironment(config.inputs.branchEnvironments, branch) !== null;
+  }
+  
+  const allowedBranches = config.inputs.allowedBranches || ['main', 'master', 'dev', 'development'];
+  return branch === config.inputs.targetBranch ||
+    allowedBranches.some(pattern => globToRegExp(pattern).test(branch));
+}
+
 async function cleanup() {
   const filesToCleanup = [
     'pr_details.json',
@@ -238,6 +549,14 @@ if (require.main === module) {
 
 module.exports = {
   run,
+  analyzeChanges,
+  getEventBranch,
   checkTriggerConditions,
+  checkAnalysisConditions,
+  buildReleaseTargets,
+  combineTargets,
+  secureReleaseTag,
+  recordPublisherResults,
+  getReleaseCommits,
   cleanup
 };
\ No newline at end of file
@@ -1,22 +1,189 @@
 const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_COMMIT_TYPES, parseConventionalCommit } = require('../utils/commits');
+const { formatIssueLine } = require('../utils/issues');
+const { formatContributor } = require('../utils/contributors');
+const { formatFileChanges } = require('../utils/path-rules');
+const { formatDependencyChanges } = require('../utils/dependencies');
 
 class ChangelogManager {
-  constructor(config) {
+  constructor(config, gitUtils = null, githubReleaseManager = null) {
     this.config = config;
+    this.gitUtils = gitUtils;
+    this.githubReleaseManager = githubReleaseManager;
+    this.name = 'changelog';
+    this.order = 10;
   }
 
-  async updateChangelog(releaseNotes, versionInfo, prAnalysis) {
+  enabled() {
+    return this.config.isChangelogEnabled;
+  }
+
+  async publish(release) {
+    const files = [];
+    const failures = [];
+    const branchName = `release/${release.targets.map(target => target.versionInfo.tagName).join('+')}`;
+    const pullRequest = this.config.inputs.changelogPullRequest !== false;
+
+    // A resumed release whose changelog branch was already pushed only needs its PR
+    const resumed = release.targets.some(target => target.versionInfo.resumed);
+    if (resumed && pullRequest && this.gitUtils && this.config.isProductionEnvironment &&
+        await this.gitUtils.remoteBranchExists(branchName)) {
+      core.info(`Changelog branch ${branchName} already pushed, skipping changelog update`);
+      return await this.ensurePullRequest(release, { success: true, reason: null, files, committed: true, branch: branchName, resumed: true });
+    }
+
+    if (this.gitUtils && this.gitUtils.commitsViaApi && this.config.isProductionEnvironment) {
+      return await this.publishViaApi(release, pullRequest ? branchName : null);
+    }
+
+    for (const target of release.targets) {
+      const result = await this.updateChangelog(target.releaseNotes, target.versionInfo, target.prAnalysis, target.changelogFile);
+      if (result.updated) {
+        files.push(target.changelogFile);
+      } else if (!result.alreadyPresent) {
+        failures.push(`${target.changelogFile}: ${result.reason}`);
+      }
+    }
+
+    const result = { success: failures.length === 0, reason: failures.join('; ') || null, files, committed: false };
+
+    // Commit all changelogs together and open a single PR if this is a production release
+    if (files.length > 0 && this.config.isProductionEnvironment && this.gitUtils) {
+      const commitMessage = this.formatCommitMessage(release);
+
+      if (!pullRequest) {
+        result.branch = this.config.inputs.targetBranch;
+        result.committed = await this.gitUtils.commitAndPush(files, commitMessage, result.branch, { newBranch: false });
+        result.onTargetBranch = true;
+        return result;
+      }
+
+      result.branch = branchName;
+      result.committed = await this.gitUtils.commitAndPush(files, commitMessage, branchName);
+      result.branchCreated = result.committed;
+
+      if (result.committed) {
+        core.info('✅ Changelog committed and pushed');
+      }
+
+      return await this.ensurePullRequest(release, result);
+    }
+
+    return result;
+  }
+
+  // Builds the changelogs from the files on GitHub and commits them there, the workspace is never written.
+  // Without a branch name the commit goes straight onto the target branch
+  async publishViaApi(release, branchName) {
+    const targetBranch = this.config.inputs.targetBranch;
+    const branch = branchName || targetBranch;
+    const result = { success: true, reason: null, files: [], committed: false, branch };
+
+    try {
+      // The commit builds on the target branch as GitHub has it now, the checkout may be behind it
+      const parent = await this.gitUtils.getBranchHeadViaApi(targetBranch);
+      if (!parent) {
+        throw new Error(`Branch ${targetBranch} does not exist`);
+      }
+
+      const changes = [];
+      for (const target of release.targets) {
+        const currentContent = await this.gitUtils.readFileViaApi(target.changelogFile, parent) ?? this.createInitialChangelog();
+        const update = this.renderChangelogUpdate(currentContent, target.releaseNotes, target.versionInfo, target.prAnalysis);
+
+        if (update.alreadyPresent) {
+          core.info(`Changelog ${target.changelogFile} already contains an entry for ${target.versionInfo.newVersion}, skipping`);
+        } else {
+          changes.push({ path: target.changelogFile, content: update.content });
+        }
+      }
+
+      if (changes.length === 0) {
+        return result;
+      }
+
+      const commit = await this.gitUtils.commitViaApi(changes, this.formatCommitMessage(release), {
+        parent,
+        branch,
+        createBranch: Boolean(branchName)
+      });
+
+      result.files = changes.map(change => change.path);
+      result.committed = true;
+      result.commitSha = commit.sha;
+      result.branchCreated = Boolean(branchName);
+      result.onTargetBranch = !branchName;
+      core.info('✅ Changelog committed through the GitHub API');
+    } catch (error) {
+      core.error(`Failed to commit the changelog through the GitHub API: ${error.message}`);
+      return { ...result, success: false, reason: error.message };
+    }
+
+    return branchName ? await this.ensurePullRequest(release, result) : result;
+  }
+
+  formatCommitMessage(release) {
+    return `[skip ci] chore: update changelog for release ${release.versionInfo.tagName}`;
+  }
+
+  async ensurePullRequest(release, result) {
+    if (!this.githubReleaseManager) {
+      return result;
+    }
+
+    const prResult = await this.githubReleaseManager.createPullRequestForChangelog(release.versionInfo, true, result.branch);
+    if (prResult.created) {
+      core.info(`✅ Changelog PR created: ${prResult.url}`);
+      result.pullRequestNumber = prResult.pr.number;
+    }
+    if (prResult.created || prResult.exists) {
+      result.url = prResult.url;
+    }
+
+    return result;
+  }
+
+  async rollback(release, result) {
+    // A commit on the target branch may already be built upon, reverting it is left to a person
+    if (result.committed && result.onTargetBranch) {
+      return { rolledBack: false, undoable: false, reason: `changelog commit on ${result.branch} is left in place`, undone: [] };
+    }
+
+    const undone = [];
+    const failures = [];
+
+    // Only undo what this run created, a resumed branch or PR predates it
+    if (result.pullRequestNumber && this.githubReleaseManager) {
+      if (await this.githubReleaseManager.closePullRequest(result.pullRequestNumber)) {
+        undone.push(`closed PR #${result.pullRequestNumber}`);
+      } else {
+        failures.push(`failed to close PR #${result.pullRequestNumber}`);
+      }
+    }
+
+    if (result.branchCreated && this.gitUtils) {
+      if (await this.gitUtils.deleteRemoteBranch(result.branch)) {
+        undone.push(`deleted branch ${result.branch}`);
+      } else {
+        failures.push(`failed to delete branch ${result.branch}`);
+      }
+    }
+
+    return { rolledBack: failures.length === 0, reason: failures.join('; ') || null, undone };
+  }
+
+  async updateChangelog(releaseNotes, versionInfo, prAnalysis, changelogFile = this.config.inputs.changelogFile) {
     if (!this.config.isChangelogEnabled) {
       core.info('Changelog updates disabled, skipping');
       return { updated: false, reason: 'disabled' };
     }
 
     try {
-      core.info(`Updating changelog: ${this.config.inputs.changelogFile}`);
+      core.info(`Updating changelog: ${changelogFile}`);
       
-      const changelogPath = path.resolve(this.config.inputs.changelogFile);
+      const changelogPath = path.resolve(changelogFile);
       
       // Ensure changelog exists
       await this.ensureChangelogExists(changelogPath);
@@ -24,21 +191,22 @@ class ChangelogManager {
       // Read current changelog
       const currentContent = await fs.promises.readFile(changelogPath, 'utf-8');
       
-      // Generate new entry
-      const newEntry = this.formatChangelogEntry(releaseNotes.releaseNotes, versionInfo, prAnalysis);
-      
-      // Insert new entry
-      const updatedContent = this.insertEntry(currentContent, newEntry);
+      const update = this.renderChangelogUpdate(currentContent, releaseNotes, versionInfo, prAnalysis);
+      if (update.alreadyPresent) {
+        core.info(`Changelog already contains an entry for ${versionInfo.newVersion}, skipping`);
+        return { updated: false, alreadyPresent: true, reason: 'entry already present', path: changelogPath };
+      }
       
       // Write updated changelog
-      await fs.promises.writeFile(changelogPath, updatedContent);
+      await fs.promises.writeFile(changelogPath, update.content);
       
-      core.info(`✅ Successfully updated ${this.config.inputs.changelogFile}`);
+      core.info(`✅ Successfully updated ${changelogFile}`);
       
       return {
         updated: true,
         path: changelogPath,
-        entry: newEntry
+        file: changelogFile,
+        entry: update.entry
       };
     } catch (error) {
       core.error(`Failed to update changelog: ${error.message}`);
@@ -46,6 +214,16 @@ class ChangelogManager {
     }
   }
 
+  // Never writes a second entry for the same version
+  renderChangelogUpdate(currentContent, releaseNotes, versionInfo, prAnalysis) {
+    if (this.hasEntry(currentContent, versionInfo.newVersion)) {
+      return { alreadyPresent: true };
+    }
+
+    const entry = this.formatChangelogEntry(releaseNotes.releaseNotes, versionInfo, prAnalysis);
+    return { content: this.insertEntry(currentContent, entry), entry };
+  }
+
   async ensureChangelogExists(changelogPath) {
     try {
       await fs.promises.access(changelogPath);
@@ -95,19 +273,50 @@ and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0
       
       // Add breaking changes section
       if (analysis.isBreakingChange) {
-        entry += `\n### ⚠️ Breaking Changes\n- This release contains breaking changes. Please review the migration guide.\n`;
+        const notes = analysis.breakingNotes && analysis.breakingNotes.length > 0
+          ? analysis.breakingNotes
+          : ['This release contains breaking changes. Please review the migration guide.'];
+        entry += `\n### ⚠️ Breaking Changes\n${notes.map(note => `- ${note}`).join('\n')}\n`;
       }
       
-      // Add additional context based on change types
-      if (analysis.changeTypes.includes('feature')) {
-        entry += this.extractFeatures(sections.internal);
+      if ((analysis.linkedIssues || []).length > 0) {
+        entry += `\n### Linked Issues\n${analysis.linkedIssues.map(issue => `- ${formatIssueLine(issue)}`).join('\n')}\n`;
       }
       
-      if (analysis.changeTypes.includes('bugfix')) {
-        entry += this.extractBugfixes(sections.internal);
+      // Conventional commits are listed by type, otherwise features and fixes are picked from the notes
+      const typeSections = this.formatTypeSections(prAnalysis.commits || []);
+      if (typeSections) {
+        entry += typeSections;
+      } else {
+        if (analysis.changeTypes.includes('feature')) {
+          entry += this.extractFeatures(sections.internal);
+        }
+        
+        if (analysis.changeTypes.includes('bugfix')) {
+          entry += this.extractBugfixes(sections.internal);
+        }
       }
     }
     
+    // Public path categories, internal ones stay in the release notes
+    const pathCategories = (prAnalysis?.analysis?.pathCategories || []).filter(category => category.visibility !== 'internal');
+    pathCategories.forEach(({ category, files }) => {
+      const lines = formatFileChanges(files, prAnalysis.analysis.files || []).map(line => `- ${line}`);
+      entry += `\n### ${category}\n${lines.join('\n')}\n`;
+    });
+    
+    const dependencies = prAnalysis?.analysis?.dependencies || [];
+    if (dependencies.length > 0) {
+      entry += `\n### Dependencies\n${formatDependencyChanges(dependencies).map(line => `- ${line}`).join('\n')}\n`;
+    }
+    
+    const contributors = prAnalysis?.analysis?.contributors || [];
+    if (this.config.inputs.includeContributors && contributors.length > 0) {
+      const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com';
+      const lines = contributors.map(contributor => `- ${formatContributor(contributor, serverUrl)}${contributor.firstTime ? ' (first contribution)' : ''}`);
+      entry += `\n### Contributors\n${lines.join('\n')}\n`;
+    }
+    
     // Add links if enabled
     if (this.config.inputs.includePrLinks || this.config.inputs.includeCommitLinks) {
       const links = this.formatChangelogLinks(versionInfo, prAnalysis);
@@ -119,6 +328,39 @@ and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0
     return entry + '\n';
   }
 
+  // One section per commit type in the configured order, with each scope's changes listed together
+  formatTypeSections(commits) {
+    const commitTypes = this.config.inputs.commitTypes || DEFAULT_COMMIT_TYPES;
+    const conventional = commits
+      .filter(commit => !commit.isMerge)
+      .map(commit => ({
+        commit,
+        parsed: commit.conventional !== undefined
+          ? commit.conventional
+          : parseConventionalCommit(commit.message.split('\n')[0], commit.trailers, commitTypes)
+      }))
+      .filter(({ parsed }) => parsed);
+
+    return commitTypes.map(({ type, title }) => {
+      const ofType = conventional
+        .filter(({ parsed }) => parsed.type === type)
+        .sort((a, b) => (a.parsed.scope || '').localeCompare(b.parsed.scope || ''));
+      if (ofType.length === 0) return '';
+
+      const lines = ofType.map(({ commit, parsed }) => {
+        const link = this.config.inputs.includeCommitLinks && commit.url ? ` ([${commit.shortSha}](${commit.url}))` : '';
+        return `- ${parsed.scope ? `**${parsed.scope}:** ` : ''}${parsed.description}${link}`;
+      });
+
+      return `\n### ${title}\n${lines.join('\n')}\n`;
+    }).join('');
+  }
+
+  hasEntry(content, version) {
+    const escaped = version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^##\\s+\\[${escaped}\\]`, 'm').test(content);
+  }
+
   parseReleaseNotesForChangelog(releaseNotesContent) {
     const sections = { public: '', internal: '' };
     
@@ -169,7 +411,10 @@ and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0
   formatChangelogLinks(versionInfo, prAnalysis) {
     const links = [];
     
-    if (this.config.inputs.includePrLinks && prAnalysis?.pr) {
+    if (this.config.inputs.includePrLinks && prAnalysis?.pullRequests?.length > 1) {
+      const prLinks = prAnalysis.pullRequests.map(pr => `[#${pr.number}](${pr.html_url})`).join(', ');
+      links.push(`**Pull Requests:** ${prLinks}`);
+    } else if (this.config.inputs.includePrLinks && prAnalysis?.pr?.html_url) {
       links.push(`**Pull Request:** [#${prAnalysis.number}](${prAnalysis.pr.html_url})`);
     }
     
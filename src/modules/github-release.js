@@ -2,12 +2,69 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const fs = require('fs');
 const path = require('path');
+const { formatIssueLink } = require('../utils/issues');
+const { formatContributor } = require('../utils/contributors');
+
+const RELEASE_FOOTER = 'Generated with [AI Release Notes Generator](https://github.com/baires/ai-release-notes-action)';
 
 class GitHubReleaseManager {
   constructor(config, token) {
     this.config = config;
     this.octokit = github.getOctokit(token);
     this.context = github.context;
+    this.name = 'github-release';
+    this.order = 20;
+  }
+
+  enabled() {
+    return this.config.isReleaseEnabled;
+  }
+
+  async publish(release) {
+    const releases = [];
+
+    for (const target of release.targets) {
+      const result = await this.createRelease(target.releaseNotes, target.versionInfo, target.prAnalysis);
+      releases.push({
+        tagName: target.versionInfo.tagName,
+        created: result.created,
+        updated: Boolean(result.updated),
+        url: result.url || null,
+        reason: result.reason || null
+      });
+    }
+
+    const failed = releases.filter(item => !item.created);
+
+    return {
+      success: failed.length === 0,
+      reason: failed.map(item => `${item.tagName}: ${item.reason}`).join('; ') || null,
+      url: releases.find(item => item.url)?.url || null,
+      releases
+    };
+  }
+
+  async rollback(release, result) {
+    // Releases that existed before this run are left alone
+    const created = (result.releases || []).filter(item => item.created && !item.updated);
+    const deleted = [];
+
+    for (const item of created) {
+      if (await this.deleteRelease(item.tagName)) {
+        deleted.push(item.tagName);
+        
+        // Outside production the release itself created the tag, so it goes too
+        if (!this.config.isProductionEnvironment) {
+          await this.deleteTagRef(item.tagName);
+        }
+      }
+    }
+
+    return {
+      rolledBack: deleted.length === created.length,
+      reason: deleted.length === created.length ? null : 'some releases could not be deleted',
+      deleted
+    };
   }
 
   async createRelease(releaseNotes, versionInfo, prAnalysis) {
@@ -55,7 +112,7 @@ class GitHubReleaseManager {
       owner: this.context.repo.owner,
       repo: this.context.repo.repo,
       tag_name: versionInfo.tagName,
-      target_commitish: this.context.sha,
+      target_commitish: prAnalysis?.targetSha || this.context.sha,
       name: releaseName,
       body: releaseBody,
       draft: this.config.inputs.releaseDraft,
@@ -83,6 +140,13 @@ class GitHubReleaseManager {
     const metadata = this.buildMetadataSection(versionInfo, prAnalysis);
     body += `\n\n${metadata}`;
     
+    // Mentions show the contributors' avatars under the release
+    const contributors = prAnalysis?.analysis?.contributors || [];
+    if (this.config.inputs.includeContributors && contributors.length > 0) {
+      const lines = contributors.map(contributor => `- ${formatContributor(contributor)}${contributor.firstTime ? ' 🎉 first contribution' : ''}`);
+      body += `\n\n## Contributors\n${lines.join('\n')}`;
+    }
+    
     // Add links section if enabled
     if (this.config.inputs.includePrLinks || this.config.inputs.includeCommitLinks) {
       const links = await this.buildLinksSection(versionInfo, prAnalysis);
@@ -92,7 +156,7 @@ class GitHubReleaseManager {
     }
     
     // Add footer
-    body += '\n\n---\n*Generated with [AI Release Notes Generator](https://github.com/baires/ai-release-notes-action)*';
+    body += `\n\n---\n*${RELEASE_FOOTER}*`;
     
     return body;
   }
@@ -116,12 +180,20 @@ class GitHubReleaseManager {
       }
       
       if (analysis.filesChanged.length > 0) {
-        lines.push(`**Files Changed:** ${analysis.filesChanged.length}`);
+        const files = analysis.files || [];
+        const additions = files.reduce((total, file) => total + (file.additions || 0), 0);
+        const deletions = files.reduce((total, file) => total + (file.deletions || 0), 0);
+        const lineCounts = files.length > 0 ? ` (+${additions} −${deletions})` : '';
+        lines.push(`**Files Changed:** ${files.length || analysis.filesChanged.length}${lineCounts}`);
       }
       
       if (analysis.isBreakingChange) {
         lines.push('**⚠️ Breaking Changes:** Yes');
       }
+      
+      if ((analysis.linkedIssues || []).length > 0) {
+        lines.push(`**Linked Issues:** ${analysis.linkedIssues.map(issue => formatIssueLink(issue)).join(', ')}`);
+      }
     }
     
     return lines.join('\n');
@@ -130,8 +202,11 @@ class GitHubReleaseManager {
   async buildLinksSection(versionInfo, prAnalysis) {
     const lines = ['## Links'];
     
-    // Add PR link
-    if (this.config.inputs.includePrLinks && prAnalysis?.pr) {
+    // Add PR links
+    if (this.config.inputs.includePrLinks && prAnalysis?.pullRequests?.length > 1) {
+      const prLinks = prAnalysis.pullRequests.map(pr => `[#${pr.number}](${pr.html_url})`).join(', ');
+      lines.push(`**Pull Requests:** ${prLinks}`);
+    } else if (this.config.inputs.includePrLinks && prAnalysis?.pr?.html_url) {
       lines.push(`**Pull Request:** [#${prAnalysis.number}](${prAnalysis.pr.html_url})`);
     }
     
@@ -193,13 +268,25 @@ class GitHubReleaseManager {
     }
   }
 
-  async createPullRequestForChangelog(versionInfo, changelogUpdated) {
+  async createPullRequestForChangelog(versionInfo, changelogUpdated, branchName = `release/${versionInfo.tagName}`) {
     if (!changelogUpdated || !this.config.isProductionEnvironment) {
       return { created: false, reason: 'not needed' };
     }
 
     try {
-      const branchName = `release/${versionInfo.tagName}`;
+      // A re-run may find the PR from the first attempt
+      const { data: existing } = await this.octokit.rest.pulls.list({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        head: `${this.context.repo.owner}:${branchName}`,
+        state: 'open'
+      });
+      
+      if (existing.length > 0) {
+        core.info(`Changelog PR already exists: ${existing[0].html_url}`);
+        return { created: false, exists: true, pr: existing[0], url: existing[0].html_url };
+      }
+      
       const title = `[skip ci] chore: update changelog for release ${versionInfo.tagName}`;
       const body = `Automated changelog update for release ${versionInfo.tagName}`;
       
@@ -225,6 +312,49 @@ class GitHubReleaseManager {
     }
   }
 
+  async findReleaseTagsForCommits(commits) {
+    const releases = await this.listReleases(1, 100);
+
+    // Only releases this action generated count as already released
+    return releases
+      .filter(release => commits.includes(release.target_commitish))
+      .filter(release => (release.body || '').includes(RELEASE_FOOTER))
+      .map(release => release.tag_name);
+  }
+
+  async deleteTagRef(tagName) {
+    try {
+      await this.octokit.rest.git.deleteRef({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        ref: `tags/${tagName}`
+      });
+
+      core.info(`Deleted tag ref: ${tagName}`);
+      return true;
+    } catch (error) {
+      core.warning(`Failed to delete tag ref ${tagName}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async closePullRequest(prNumber) {
+    try {
+      await this.octokit.rest.pulls.update({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: prNumber,
+        state: 'closed'
+      });
+
+      core.info(`Closed pull request #${prNumber}`);
+      return true;
+    } catch (error) {
+      core.warning(`Failed to close pull request #${prNumber}: ${error.message}`);
+      return false;
+    }
+  }
+
   async deleteRelease(tagName) {
     try {
       const { data: release } = await this.octokit.rest.repos.getReleaseByTag({
@@ -0,0 +1,182 @@
+const core = require('@actions/core');
+const SignificanceEvaluator = require('../utils/significance');
+const ReleaseJournal = require('../utils/journal');
+
+// Keeps the summary well below the 1 MiB step summary limit on large ranges
+const MAX_COMMITS = 100;
+
+class JobSummary {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async write(report) {
+    if (!this.config.inputs.jobSummary) {
+      return { written: false, reason: 'Job summary disabled' };
+    }
+
+    // Not available outside of GitHub Actions, e.g. local runs
+    if (!process.env.GITHUB_STEP_SUMMARY) {
+      core.debug('GITHUB_STEP_SUMMARY is not set, skipping job summary');
+      return { written: false, reason: 'GITHUB_STEP_SUMMARY is not set' };
+    }
+
+    try {
+      await core.summary.addRaw(this.render(report), true).write();
+      core.info('📋 Job summary written');
+      return { written: true };
+    } catch (error) {
+      core.warning(`Failed to write job summary: ${error.message}`);
+      return { written: false, reason: error.message };
+    }
+  }
+
+  render({ mode, targets, versionInfo, releaseNotes, prAnalysis, results = null, error = null, rollbackReport = null }) {
+    const name = mode === 'preview' ? 'Release preview' : 'Release';
+    const tag = versionInfo ? ` ${versionInfo.tagName}` : '';
+    const sections = [error ? `## ❌ ${name}${tag} failed` : `## ${mode === 'preview' ? '👀' : '🚀'} ${name}${tag}`];
+
+    if (error) {
+      sections.push(this.renderFailure(error, rollbackReport));
+    }
+
+    // A run that failed before its versions were known has nothing else to report
+    if (!versionInfo) {
+      return sections.join('\n\n');
+    }
+
+    sections.push(this.renderVersionDecision(targets, prAnalysis));
+
+    if (results) {
+      sections.push(this.renderPublishers(results));
+    }
+
+    sections.push(this.renderNotesSource(releaseNotes));
+    sections.push(`### Release notes\n\n${releaseNotes.releaseNotes}`);
+    sections.push(this.renderCommits(prAnalysis.commits || []));
+
+    return sections.join('\n\n');
+  }
+
+  // Packages are versioned from their own changes, so each gets its increment in the table
+  renderVersionDecision(targets, prAnalysis) {
+    const analysis = prAnalysis.analysis;
+    const commitTypes = Array.from(new Set(
+      new SignificanceEvaluator(this.config).getCommitTypes(prAnalysis).filter(Boolean)
+    ));
+    const showPackage = targets.some(target => target.pkg);
+    const versionDecision = targets[0].versionDecision;
+
+    const header = [...(showPackage ? ['Package', 'Increment', 'Reason'] : []), 'Version', 'Previous', 'Tag', 'Resumed'];
+    const rows = targets.map(target => [
+      ...(showPackage ? [target.pkg.name, target.versionDecision.increment, target.versionDecision.reason] : []),
+      target.versionInfo.newVersion,
+      target.versionInfo.previousVersion || 'none (first release)',
+      target.versionInfo.tagName,
+      target.versionInfo.resumed ? 'Yes' : 'No'
+    ]);
+
+    return [
+      '### Version decision',
+      '',
+      ...(showPackage ? [] : [`- **Increment:** ${versionDecision.increment}`]),
+      `- **Strategy:** ${versionDecision.strategy}`,
+      ...(showPackage ? [] : [`- **Reason:** ${versionDecision.reason}`]),
+      `- **Labels:** ${this.formatList(analysis.labels)}`,
+      `- **Change types:** ${this.formatList(analysis.changeTypes)}`,
+      `- **Commit types:** ${this.formatList(commitTypes)}`,
+      '',
+      this.renderTable(header, rows)
+    ].join('\n');
+  }
+
+  renderPublishers(results) {
+    const rows = Object.entries(results).map(([name, result]) => {
+      const details = result.url ? `[${result.url}](${result.url})` : result.reason || '';
+      return [name, `${this.statusIcon(result.status)} ${result.status}`, details];
+    });
+
+    return `### Publishers\n\n${this.renderTable(['Publisher', 'Status', 'Details'], rows)}`;
+  }
+
+  renderFailure(error, rollbackReport) {
+    const lines = ['### Failure', '', '```text', error, '```'];
+
+    if (rollbackReport) {
+      lines.push('', '### Rollback', '', '```text', ReleaseJournal.formatReport(rollbackReport), '```');
+    }
+
+    return lines.join('\n');
+  }
+
+  renderNotesSource(releaseNotes) {
+    let source = 'Template';
+    if (releaseNotes.authorProvided) {
+      source = 'Written by the PR author';
+    } else if (releaseNotes.aiGenerated) {
+      source = 'AI generated';
+    }
+
+    const lines = [
+      '### Release notes source',
+      '',
+      `- **Source:** ${source}`,
+      `- **AI provider:** ${releaseNotes.aiProvider || 'None'}`
+    ];
+
+    if (!releaseNotes.aiGenerated && !releaseNotes.authorProvided) {
+      lines.push(`- **Fallback:** ${releaseNotes.fallbackReason || 'Template used'}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  renderCommits(commits) {
+    if (commits.length === 0) {
+      return '### Commits analyzed (0)\n\nNo commits were analyzed.';
+    }
+
+    const rows = commits.slice(0, MAX_COMMITS).map(commit => [
+      commit.url ? `[${commit.shortSha}](${commit.url})` : commit.shortSha,
+      (commit.message || '').split('\n')[0],
+      commit.author || ''
+    ]);
+
+    const lines = [
+      `### Commits analyzed (${commits.length})`,
+      '',
+      '<details>',
+      '<summary>Show commits</summary>',
+      '',
+      this.renderTable(['Commit', 'Message', 'Author'], rows),
+      ''
+    ];
+
+    if (commits.length > MAX_COMMITS) {
+      lines.push(`_…and ${commits.length - MAX_COMMITS} more_`, '');
+    }
+
+    lines.push('</details>');
+    return lines.join('\n');
+  }
+
+  renderTable(header, rows) {
+    const escape = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+    return [
+      `| ${header.map(escape).join(' | ')} |`,
+      `|${header.map(() => '---').join('|')}|`,
+      ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  formatList(items) {
+    return items && items.length > 0 ? items.join(', ') : 'none';
+  }
+
+  statusIcon(status) {
+    return { success: '✅', failed: '❌', skipped: '⏭️' }[status] || '•';
+  }
+}
+
+module.exports = JobSummary;
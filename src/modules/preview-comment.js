@@ -0,0 +1,203 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const crypto = require('crypto');
+const { extractMarkedSection, normalizeLineEndings } = require('../utils/markers');
+
+const COMMENT_MARKER = '<!-- ai-release-notes-preview -->';
+const NOTES_START_MARKER = '<!-- release-notes:start -->';
+const NOTES_END_MARKER = '<!-- release-notes:end -->';
+const GENERATED_HASH_PATTERN = /<!-- release-notes:generated:([a-f0-9]+) -->/;
+
+// The account that posts comments made with the workflow's GITHUB_TOKEN
+const GITHUB_ACTIONS_BOT = 'github-actions[bot]';
+
+// Repository permissions that may rewrite the notes of someone else's PR (maintain reports as write)
+const WRITE_PERMISSIONS = ['admin', 'write'];
+
+class PreviewCommentManager {
+  constructor(config, token) {
+    this.config = config;
+    this.octokit = github.getOctokit(token);
+    this.context = github.context;
+  }
+
+  async upsertPreviewComment(releaseNotes, versionInfo, prAnalysis) {
+    try {
+      const existingComment = await this.findPreviewComment(prAnalysis.number);
+      
+      // Never touch notes a human has already corrected, a rewrite would make the action their last editor
+      if (existingComment && this.parsePreviewComment(existingComment.body).edited) {
+        core.info(`✏️  Preview comment has edited release notes, leaving it unchanged: ${existingComment.html_url}`);
+        return { posted: true, updated: false, edited: true, url: existingComment.html_url };
+      }
+      
+      const body = this.buildCommentBody(releaseNotes, versionInfo, prAnalysis);
+
+      if (existingComment) {
+        const { data: comment } = await this.octokit.rest.issues.updateComment({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          comment_id: existingComment.id,
+          body
+        });
+
+        core.info(`✅ Updated preview comment: ${comment.html_url}`);
+        return { posted: true, updated: true, url: comment.html_url };
+      }
+
+      const { data: comment } = await this.octokit.rest.issues.createComment({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        issue_number: prAnalysis.number,
+        body
+      });
+
+      core.info(`✅ Created preview comment: ${comment.html_url}`);
+      return { posted: true, updated: false, url: comment.html_url };
+    } catch (error) {
+      core.error(`Failed to post preview comment: ${error.message}`);
+      return { posted: false, reason: error.message };
+    }
+  }
+
+  // Edited notes are only taken from the PR author or someone with write access
+  async getEditedReleaseNotes(prNumber, prAuthor = null) {
+    try {
+      const comment = await this.findPreviewComment(prNumber);
+      if (!comment) return null;
+
+      const preview = this.parsePreviewComment(comment.body);
+      if (!preview.edited) return null;
+
+      const editor = await this.getLastEditor(comment);
+      if (!await this.canEditReleaseNotes(editor, prAuthor)) {
+        core.warning(`Ignoring release notes edited by ${editor || 'an unknown user'} in ${comment.html_url}, only the PR author or users with write access can change them`);
+        return null;
+      }
+
+      core.info(`Found release notes edited by ${editor} in preview comment ${comment.html_url}`);
+      return preview.notes;
+    } catch (error) {
+      core.warning(`Failed to read preview comment: ${error.message}`);
+      return null;
+    }
+  }
+
+  parsePreviewComment(commentBody) {
+    const body = normalizeLineEndings(commentBody);
+    const notes = extractMarkedSection(body, NOTES_START_MARKER, NOTES_END_MARKER);
+    const hashMatch = body.match(GENERATED_HASH_PATTERN);
+    const generatedHash = hashMatch ? hashMatch[1] : null;
+
+    return {
+      notes,
+      generatedHash,
+      edited: Boolean(notes && generatedHash && this.hashNotes(notes) !== generatedHash)
+    };
+  }
+
+  hashNotes(notes) {
+    return crypto.createHash('sha256').update(normalizeLineEndings(notes).trim()).digest('hex').substring(0, 16);
+  }
+
+  // Only a comment the action posted itself is its preview, anyone can paste the marker into theirs
+  async findPreviewComment(prNumber) {
+    const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      issue_number: prNumber,
+      per_page: 100
+    });
+
+    const commenter = await this.getCommenterLogin();
+    return comments.find(comment =>
+      comment.body && comment.body.includes(COMMENT_MARKER) && this.isOwnComment(comment, commenter)
+    ) || null;
+  }
+
+  // The token's user for personal access tokens. GITHUB_TOKEN cannot look itself up,
+  // its comments are posted by the github-actions bot
+  async getCommenterLogin() {
+    if (this.commenterLogin === undefined) {
+      try {
+        const { data: user } = await this.octokit.rest.users.getAuthenticated();
+        this.commenterLogin = user.login;
+      } catch (error) {
+        core.debug(`Token identity unavailable, matching ${GITHUB_ACTIONS_BOT} comments: ${error.message}`);
+        this.commenterLogin = null;
+      }
+    }
+    return this.commenterLogin;
+  }
+
+  // The REST API does not say who edited a comment, GraphQL reports the last editor
+  async getLastEditor(comment) {
+    const { node } = await this.octokit.graphql(
+      'query($id: ID!) { node(id: $id) { ... on IssueComment { editor { login } } } }',
+      { id: comment.node_id }
+    );
+    return node?.editor?.login || null;
+  }
+
+  async canEditReleaseNotes(editor, prAuthor) {
+    if (!editor) return false;
+    if (prAuthor && editor.toLowerCase() === prAuthor.toLowerCase()) return true;
+
+    const { data } = await this.octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      username: editor
+    });
+    return WRITE_PERMISSIONS.includes(data.permission);
+  }
+
+  isOwnComment(comment, commenter) {
+    return comment.user?.login === (commenter || GITHUB_ACTIONS_BOT);
+  }
+
+  buildCommentBody(releaseNotes, versionInfo, prAnalysis) {
+    const headSha = prAnalysis.pr?.head?.sha || this.context.payload.pull_request?.head?.sha || '';
+    const notes = releaseNotes.releaseNotes;
+
+    // The hash of what we generated lets later runs tell whether the block was edited
+    const generatedHash = this.hashNotes(notes);
+
+    let source = releaseNotes.aiGenerated ? 'AI generated' : 'template generated';
+    if (releaseNotes.authorProvided) {
+      source = 'from the PR description';
+    }
+
+    const lines = [
+      COMMENT_MARKER,
+      `<!-- release-notes:generated:${generatedHash} -->`,
+      '## 📝 Release Notes Preview',
+      '',
+      `Projected version **${versionInfo.tagName}** (previous: ${versionInfo.previousVersion || 'none, first release'}) · ${source}`,
+      '',
+      '> ✏️ Edit the text between the markers below (or add a `## Release notes` section to the PR description) and it will be used verbatim when this PR is merged.',
+      '',
+      NOTES_START_MARKER,
+      notes,
+      NOTES_END_MARKER,
+      '',
+      '<details>',
+      '<summary>💬 Slack message preview</summary>',
+      '',
+      '```text',
+      releaseNotes.slackMessage,
+      '```',
+      '</details>',
+      '',
+      '---',
+      `*Preview for ${headSha ? headSha.substring(0, 7) : 'the latest commit'}. Nothing is tagged, released or announced until this PR is merged.*`
+    ];
+
+    return lines.join('\n');
+  }
+}
+
+PreviewCommentManager.COMMENT_MARKER = COMMENT_MARKER;
+PreviewCommentManager.NOTES_START_MARKER = NOTES_START_MARKER;
+PreviewCommentManager.NOTES_END_MARKER = NOTES_END_MARKER;
+
+module.exports = PreviewCommentManager;
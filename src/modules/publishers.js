@@ -0,0 +1,119 @@
+const core = require('@actions/core');
+const SlackNotifier = require('./slack');
+const GitHubReleaseManager = require('./github-release');
+const ChangelogManager = require('./changelog');
+
+/*
+ * A publisher is any object with:
+ *   name                     unique id used in inputs and outputs
+ *   order                    default position in the pipeline (lower runs first)
+ *   enabled(release)         whether it should run for this release
+ *   publish(release)         returns { success, reason?, url?, ... } and should not throw
+ *   rollback(release, result) optional, undoes whatever publish() managed to do
+ *
+ * `release` carries { targets, versionInfo, releaseNotes, prAnalysis }, where each
+ * target has its own { pkg, versionInfo, releaseNotes, prAnalysis, changelogFile }.
+ */
+class PublisherRegistry {
+  constructor(config) {
+    this.config = config;
+    this.publishers = [];
+  }
+
+  register(publisher) {
+    if (!publisher.name || typeof publisher.publish !== 'function') {
+      throw new Error('Publishers need a name and a publish() method');
+    }
+
+    if (this.publishers.some(existing => existing.name === publisher.name)) {
+      throw new Error(`Publisher ${publisher.name} is already registered`);
+    }
+
+    // Publishers keep going on failure unless the workflow marks them as required
+    publisher.continueOnError = !(this.config.inputs.requiredPublishers || []).includes(publisher.name);
+    this.publishers.push(publisher);
+    return this;
+  }
+
+  get(name) {
+    return this.publishers.find(publisher => publisher.name === name) || null;
+  }
+
+  getOrderedPublishers() {
+    const configuredOrder = this.config.inputs.publishersOrder || [];
+    const position = publisher => {
+      const index = configuredOrder.indexOf(publisher.name);
+      return index === -1 ? configuredOrder.length : index;
+    };
+
+    return [...this.publishers].sort((a, b) => position(a) - position(b) || (a.order || 0) - (b.order || 0));
+  }
+
+  async publishAll(release) {
+    const results = {};
+    let haltedBy = null;
+
+    for (const publisher of this.getOrderedPublishers()) {
+      if (haltedBy) {
+        results[publisher.name] = { status: 'skipped', reason: `${haltedBy} failed` };
+        continue;
+      }
+
+      if (typeof publisher.enabled === 'function' && !publisher.enabled(release)) {
+        results[publisher.name] = { status: 'skipped', reason: 'disabled' };
+        continue;
+      }
+
+      core.info(`📤 Publishing to ${publisher.name}...`);
+
+      let result;
+      try {
+        result = await publisher.publish(release);
+      } catch (error) {
+        result = { success: false, reason: error.message };
+      }
+
+      results[publisher.name] = { ...result, status: result.success ? 'success' : 'failed' };
+
+      if (result.success) {
+        core.info(`✅ ${publisher.name} published${result.url ? `: ${result.url}` : ''}`);
+      } else if (publisher.continueOnError) {
+        core.warning(`Publisher ${publisher.name} failed: ${result.reason}`);
+      } else {
+        core.error(`Required publisher ${publisher.name} failed: ${result.reason}`);
+        haltedBy = publisher.name;
+      }
+    }
+
+    return { results, failed: haltedBy };
+  }
+
+  // Compact view of the results for the `publishers` output
+  static summarize(results) {
+    const summary = {};
+
+    for (const [name, result] of Object.entries(results)) {
+      summary[name] = {
+        status: result.status,
+        url: result.url || null,
+        reason: result.reason || null
+      };
+    }
+
+    return summary;
+  }
+}
+
+function createDefaultPublishers(config, token, gitUtils) {
+  const githubReleaseManager = new GitHubReleaseManager(config, token);
+
+  return new PublisherRegistry(config)
+    .register(new ChangelogManager(config, gitUtils, githubReleaseManager))
+    .register(githubReleaseManager)
+    .register(new SlackNotifier(config));
+}
+
+module.exports = {
+  PublisherRegistry,
+  createDefaultPublishers
+};
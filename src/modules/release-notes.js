@@ -1,10 +1,18 @@
 const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
+const { extractMarkedSection } = require('../utils/markers');
+const { getTrailerValues, parseConventionalCommit } = require('../utils/commits');
+const { formatIssueLine } = require('../utils/issues');
+const { formatFileChanges } = require('../utils/path-rules');
+const { formatDependencyChanges } = require('../utils/dependencies');
+const { condenseDiff } = require('../utils/diff-context');
 
 class ReleaseNotesGenerator {
-  constructor(config) {
+  // Generated files are written to `scratchDir`, the workspace on a runner
+  constructor(config, scratchDir = process.cwd()) {
     this.config = config;
+    this.scratchDir = scratchDir;
   }
 
   async generateReleaseNotes(prAnalysis, versionInfo) {
@@ -14,9 +22,16 @@ class ReleaseNotesGenerator {
       let releaseNotes = '';
       let slackMessage = '';
       let aiGenerated = false;
+      let authorProvided = false;
+      let fallbackReason = null;
       
-      // Try AI generation first if enabled
-      if (this.config.isAiEnabled) {
+      // Notes written by the PR author are used verbatim
+      if (prAnalysis.analysis.authorReleaseNotes) {
+        releaseNotes = prAnalysis.analysis.authorReleaseNotes;
+        slackMessage = this.extractSlackSummary(releaseNotes, versionInfo.buildNumber);
+        authorProvided = true;
+        core.info('Using author-provided release notes, skipping AI generation');
+      } else if (this.config.isAiEnabled) {
         try {
           const aiResult = await this.generateWithAI(prAnalysis, versionInfo);
           if (aiResult.success) {
@@ -25,15 +40,19 @@ class ReleaseNotesGenerator {
             aiGenerated = true;
             core.info('Successfully generated release notes with AI');
           } else {
+            fallbackReason = 'AI generation failed';
             core.warning('AI generation failed, falling back to template-based generation');
           }
         } catch (error) {
+          fallbackReason = error.message;
           core.warning(`AI generation error: ${error.message}, using fallback`);
         }
+      } else {
+        fallbackReason = 'AI is not configured';
       }
       
       // Fallback to template-based generation
-      if (!aiGenerated) {
+      if (!aiGenerated && !authorProvided) {
         const templateResult = this.generateFromTemplate(prAnalysis, versionInfo);
         releaseNotes = templateResult.releaseNotes;
         slackMessage = templateResult.slackMessage;
@@ -46,6 +65,9 @@ class ReleaseNotesGenerator {
         releaseNotes,
         slackMessage,
         aiGenerated,
+        authorProvided,
+        aiProvider: this.getAIProvider(),
+        fallbackReason,
         buildNumber: versionInfo.buildNumber
       };
     } catch (error) {
@@ -54,6 +76,29 @@ class ReleaseNotesGenerator {
     }
   }
 
+  getAIProvider() {
+    if (!this.config.isAiEnabled) return null;
+    return this.config.inputs.useVertexAi ? 'Vertex AI' : 'Gemini API';
+  }
+
+  // Swaps the version in headings when it changed after the notes were written
+  updateVersionHeadings(releaseNotes, previousVersionInfo, versionInfo) {
+    const replacements = [
+      [this.formatVersionLabel(previousVersionInfo), this.formatVersionLabel(versionInfo)],
+      [previousVersionInfo.tagName, versionInfo.tagName]
+    ];
+    const replaceVersion = text => replacements.reduce((result, [from, to]) => result.split(from).join(to), text || '');
+
+    return {
+      ...releaseNotes,
+      releaseNotes: releaseNotes.releaseNotes
+        .split('\n')
+        .map(line => (/^#{1,6}\s/.test(line) ? replaceVersion(line) : line))
+        .join('\n'),
+      slackMessage: replaceVersion(releaseNotes.slackMessage)
+    };
+  }
+
   async generateWithAI(prAnalysis, versionInfo) {
     try {
       const prompt = this.buildAIPrompt(prAnalysis, versionInfo);
@@ -82,25 +127,33 @@ class ReleaseNotesGenerator {
       return this.interpolateTemplate(customPrompt, prAnalysis, versionInfo);
     }
     
-    const commits = prAnalysis.commits && prAnalysis.commits.length > 0
-      ? prAnalysis.commits.map(c => `  - ${c.message.split('\n')[0]} (${c.shortSha})`).join('\n')
-      : 'No commit details available';
+    const commits = this.formatCommitsForPrompt(prAnalysis.commits);
 
     return `Analyze this pull request and write specific, concrete release notes.
 
 PR DETAILS:
-Title: ${prAnalysis.analysis.title}
+Title: ${prAnalysis.analysis.title}${prAnalysis.analysis.package ? `\nPackage: ${prAnalysis.analysis.package.name} (${prAnalysis.analysis.package.path})` : ''}
 Description: ${prAnalysis.analysis.body || 'No description'}
 Type: ${prAnalysis.analysis.changeTypes.join(', ') || 'general changes'}
 Files: ${prAnalysis.analysis.filesChanged.slice(0, 10).join(', ') || 'No files listed'}
-Breaking: ${prAnalysis.analysis.isBreakingChange ? 'Yes' : 'No'}
+Scopes: ${(prAnalysis.analysis.scopes || []).join(', ') || 'none'}
+Breaking: ${this.formatBreakingForPrompt(prAnalysis.analysis)}
 Bug fix: ${prAnalysis.analysis.isBugfix ? 'Yes' : 'No'}
 Feature: ${prAnalysis.analysis.isFeature ? 'Yes' : 'No'}
+Linked issues: ${this.formatIssuesForPrompt(prAnalysis.analysis)}
+Areas: ${this.formatPathCategoriesForPrompt(prAnalysis.analysis)}
+Dependencies: ${this.formatDependenciesForPrompt(prAnalysis.analysis)}
 
 COMMITS:
 ${commits}
 
-Write release notes based on the ACTUAL changes above. Extract real information from the title, description, files, and commits.
+${this.formatDiffForPrompt(prAnalysis)}
+
+Write release notes based on the ACTUAL changes above. Extract real information from the title, description, files, commits and diff.
+Where commits list a type and scope, keep changes of the same scope together and describe every breaking change.
+Where linked issues are listed, say which user problem each change solves and reference the issue as given, e.g. (#12).
+Changes in internal areas belong in the Internal section only.
+List dependency changes in a Dependencies section with their versions and call out major upgrades.
 
 Example (do NOT copy this, write your own based on actual PR data):
 If PR title is "Add user authentication with OAuth", write:
@@ -110,7 +163,7 @@ NOT "- [Add authentication feature]" or "- User-facing authentication improvemen
 Format EXACTLY as shown (but with real content):
 
 RELEASE_NOTES_START
-## v${versionInfo.newVersion} - BUILD_NUMBER [${this.config.inputs.environment}]
+## ${this.formatVersionLabel(versionInfo)} - BUILD_NUMBER [${this.config.inputs.environment}]
 
 ### Public
 - [Real user-facing change from PR title/description]
@@ -123,7 +176,7 @@ RELEASE_NOTES_START
 RELEASE_NOTES_END
 
 SLACK_MESSAGE_START
-Hey team! 👋 Just deployed **v${versionInfo.newVersion}** to **${this.config.inputs.environment}**.
+Hey team! 👋 Just deployed **${this.formatVersionLabel(versionInfo)}** to **${this.config.inputs.environment}**.
 
 **What changed:**
 • [Specific change from PR - be concrete]
@@ -249,20 +302,9 @@ SLACK_MESSAGE_END`;
       core.info('AI Response length: ' + aiOutput.length);
       core.info('AI Response preview: ' + aiOutput.substring(0, 200));
 
-      let releaseNotes = '';
-      let slackMessage = '';
-
-      // Extract release notes
-      const releaseNotesMatch = aiOutput.match(/RELEASE_NOTES_START\s*\n([\s\S]*?)\nRELEASE_NOTES_END/);
-      if (releaseNotesMatch) {
-        releaseNotes = releaseNotesMatch[1].trim();
-      }
-
-      // Extract Slack message
-      const slackMessageMatch = aiOutput.match(/SLACK_MESSAGE_START\s*\n([\s\S]*?)\nSLACK_MESSAGE_END/);
-      if (slackMessageMatch) {
-        slackMessage = slackMessageMatch[1].trim();
-      }
+      // Extract release notes and Slack message
+      let releaseNotes = extractMarkedSection(aiOutput, 'RELEASE_NOTES_START', 'RELEASE_NOTES_END');
+      let slackMessage = extractMarkedSection(aiOutput, 'SLACK_MESSAGE_START', 'SLACK_MESSAGE_END');
 
       // If markers not found, try to use the entire output as both
       if (!releaseNotes && !slackMessage) {
@@ -294,14 +336,41 @@ SLACK_MESSAGE_END`;
     return `🚀 Build ${buildNumber} deployed\n\n${summary}`;
   }
 
+  // A commit goes to the first category listing its conventional type, then the first
+  // listing one of the PR's labels, and to "Other" otherwise
+  groupByCategory(commits, changes, labels) {
+    const categories = this.config.inputs.categories;
+    const grouped = new Map(categories.map(category => [category.title, []]));
+    if (!grouped.has('Other')) grouped.set('Other', []);
+
+    commits.forEach((commit, index) => {
+      const conventional = commit.conventional !== undefined
+        ? commit.conventional
+        : parseConventionalCommit(commit.message.split('\n')[0], commit.trailers, this.config.inputs.commitTypes);
+      const type = conventional ? conventional.type : null;
+
+      const category = categories.find(candidate => type && (candidate.types || []).includes(type)) ||
+        categories.find(candidate => (candidate.labels || []).some(label => labels.includes(label)));
+
+      grouped.get(category ? category.title : 'Other').push(changes[index]);
+    });
+
+    return Array.from(grouped.entries())
+      .filter(([, sectionChanges]) => sectionChanges.length > 0)
+      .map(([title, sectionChanges]) => ({ title, changes: sectionChanges }));
+  }
+
   generateFromTemplate(prAnalysis, versionInfo) {
     const buildNumber = versionInfo.buildNumber;
-    const version = versionInfo.newVersion;
+    const versionLabel = this.formatVersionLabel(versionInfo);
     const environment = this.config.inputs.environment;
 
     // Generate release notes based on analysis
     let publicChanges = 'General improvements and bug fixes';
     let internalChanges = [];
+    const pathCategories = prAnalysis.analysis.pathCategories || [];
+    const publicCategories = pathCategories.filter(category => category.visibility !== 'internal');
+    const dependencies = prAnalysis.analysis.dependencies || [];
 
     if (prAnalysis.analysis.isBreakingChange) {
       publicChanges = 'Breaking changes - please review migration notes';
@@ -309,40 +378,91 @@ SLACK_MESSAGE_END`;
       publicChanges = 'New features and enhancements';
     } else if (prAnalysis.analysis.isBugfix) {
       publicChanges = 'Bug fixes and stability improvements';
+    } else if (publicCategories.length > 0) {
+      publicChanges = `Changes to ${publicCategories.map(category => category.category).join(', ')}`;
+    } else if (dependencies.length > 0) {
+      publicChanges = 'Dependency updates';
+    } else if (prAnalysis.analysis.isInternalOnly) {
+      publicChanges = 'No user-facing changes';
+    }
+
+    // Merge commits only repeat the commits they bring in
+    const allCommits = (prAnalysis.commits || []).filter(commit => !commit.isMerge);
+
+    // Breaking change footers, or `type!:` descriptions, tell users what they have to change
+    const breakingNotes = prAnalysis.analysis.breakingNotes ||
+      allCommits.flatMap(commit => getTrailerValues(commit.trailers, 'BREAKING CHANGE'));
+    if (breakingNotes.length > 0) {
+      publicChanges = [publicChanges, ...breakingNotes.map(note => `- ${note}`)].join('\n');
     }
 
     // Add commit-based internal changes
-    if (prAnalysis.commits && prAnalysis.commits.length > 0) {
-      internalChanges = prAnalysis.commits
-        .slice(0, this.config.inputs.maxCommitsFallback)
-        .map(commit => {
-          let message = commit.message.split('\n')[0]; // First line only
-          if (this.config.inputs.includeCommitLinks) {
-            message += ` ([${commit.shortSha}](${commit.url}))`;
-          }
-          return message;
-        });
+    const commits = allCommits.slice(0, this.config.inputs.maxCommitsFallback);
+    if (commits.length > 0) {
+      internalChanges = commits.map(commit => {
+        let message = commit.message.split('\n')[0]; // First line only
+        if (commit.isRevert && !/^revert\b/i.test(message)) {
+          message = `Revert: ${message}`;
+        }
+        const coAuthors = getTrailerValues(commit.trailers, 'Co-authored-by').map(author => author.replace(/\s*<[^>]*>$/, ''));
+        if (coAuthors.length > 0) {
+          message += ` (co-authored by ${coAuthors.join(', ')})`;
+        }
+        if (this.config.inputs.includeCommitLinks) {
+          message += ` ([${commit.shortSha}](${commit.url}))`;
+        }
+        return message;
+      });
     }
 
     if (internalChanges.length === 0) {
       internalChanges = ['Various code improvements and maintenance'];
     }
 
+    // Configured categories replace the single internal section
+    const sections = (this.config.inputs.categories || []).length > 0 && commits.length > 0
+      ? this.groupByCategory(commits, internalChanges, prAnalysis.analysis.labels || [])
+      : [{ title: 'Internal', changes: internalChanges }];
+
+    // Path rules list the changed files per category, public ones ahead of the commit sections
+    let publicPosition = 0;
+    pathCategories.forEach(({ category, visibility, files }) => {
+      const changes = formatFileChanges(files, prAnalysis.analysis.files || []);
+      const existing = sections.find(section => section.title === category);
+
+      if (existing) {
+        existing.changes.push(...changes);
+      } else if (visibility === 'internal') {
+        sections.push({ title: category, changes });
+      } else {
+        sections.splice(publicPosition++, 0, { title: category, changes });
+      }
+    });
+
+    if (dependencies.length > 0) {
+      sections.push({ title: 'Dependencies', changes: formatDependencyChanges(dependencies) });
+    }
+
+    // Linked issues say which user problems the release solves
+    const linkedIssues = prAnalysis.analysis.linkedIssues || [];
+    if (linkedIssues.length > 0) {
+      sections.unshift({ title: 'Linked Issues', changes: linkedIssues.map(issue => formatIssueLine(issue)) });
+    }
+
     // Build release notes
-    const releaseNotes = `## v${version} - ${buildNumber} [${environment}]
+    const releaseNotes = `## ${versionLabel} - ${buildNumber} [${environment}]
 
 ### Public
 ${publicChanges}
 
-### Internal
-${internalChanges.map(change => `- ${change}`).join('\n')}`;
+${sections.map(section => `### ${section.title}\n${section.changes.map(change => `- ${change}`).join('\n')}`).join('\n\n')}`;
 
     // Build Slack message
-    const slackCommits = prAnalysis.commits
-      ? prAnalysis.commits.slice(0, 3).map(commit => commit.message.split('\n')[0])
+    const slackCommits = allCommits.length > 0
+      ? allCommits.slice(0, 3).map(commit => commit.message.split('\n')[0])
       : ['Various improvements'];
 
-    const slackMessage = `🚀 *v${version} - ${buildNumber} [${environment}]*
+    const slackMessage = `🚀 *${versionLabel} - ${buildNumber} [${environment}]*
 
 *Changes:*
 ${slackCommits.map(change => `• ${change}`).join('\n')}`;
@@ -350,15 +470,96 @@ ${slackCommits.map(change => `• ${change}`).join('\n')}`;
     return { releaseNotes, slackMessage };
   }
 
+  formatVersionLabel(versionInfo) {
+    // Package tags already read as <name>@<version>
+    return versionInfo.packageName ? versionInfo.tagName : `v${versionInfo.newVersion}`;
+  }
+
+  // Conventional commits carry their type, scope and breaking marker, so the notes can be grouped by them
+  formatCommitsForPrompt(commits) {
+    const listed = (commits || []).filter(commit => !commit.isMerge);
+    if (listed.length === 0) {
+      return 'No commit details available';
+    }
+
+    return listed.map(commit => {
+      const parsed = commit.conventional;
+      const details = parsed
+        ? ` [type: ${parsed.type}${parsed.scope ? `, scope: ${parsed.scope}` : ''}${parsed.breaking ? ', breaking' : ''}]`
+        : '';
+      return `  - ${commit.message.split('\n')[0]} (${commit.shortSha})${details}`;
+    }).join('\n');
+  }
+
+  formatBreakingForPrompt(analysis) {
+    if (!analysis.isBreakingChange) return 'No';
+    const notes = analysis.breakingNotes || [];
+    return notes.length > 0 ? `Yes\n${notes.map(note => `  - ${note}`).join('\n')}` : 'Yes';
+  }
+
+  formatIssuesForPrompt(analysis) {
+    const issues = analysis.linkedIssues || [];
+    if (issues.length === 0) return 'None';
+
+    return `\n${issues.map(issue => {
+      const labels = issue.labels && issue.labels.length > 0 ? ` [${issue.labels.join(', ')}]` : '';
+      return `  - ${issue.key}${issue.title ? ` ${issue.title}` : ''}${labels}${issue.closing ? ' (closed by this change)' : ''}`;
+    }).join('\n')}`;
+  }
+
+  // `API (public, 3 files), Database (internal, 1 file)` from the path rules
+  formatPathCategoriesForPrompt(analysis) {
+    const categories = analysis.pathCategories || [];
+    if (categories.length === 0) return 'none';
+
+    return categories
+      .map(({ category, visibility, files }) => `${category} (${visibility}, ${files.length} file${files.length === 1 ? '' : 's'})`)
+      .join(', ');
+  }
+
+  formatDependenciesForPrompt(analysis) {
+    const dependencies = analysis.dependencies || [];
+    if (dependencies.length === 0) return 'No changes';
+    return `\n${formatDependencyChanges(dependencies).map(line => `  - ${line}`).join('\n')}`;
+  }
+
+  // The hunks most worth reading that fit in `diff_token_budget`, so the notes can say what changed in the code
+  formatDiffForPrompt(prAnalysis) {
+    const budget = this.config.inputs.diffTokenBudget;
+    if (!budget || typeof prAnalysis.diff !== 'string' || prAnalysis.analysis.diffAvailable === false) {
+      return 'DIFF: not included';
+    }
+
+    const condensed = condenseDiff(prAnalysis.diff, { tokenBudget: budget, paths: prAnalysis.analysis.filesChanged });
+    const notes = [`about ${condensed.estimatedTokens} tokens`];
+    if (condensed.omittedHunks > 0) {
+      notes.push(`${condensed.omittedHunks} less relevant hunk(s) left out`);
+    }
+    if (condensed.skippedFiles.length > 0) {
+      notes.push(`skipped ${condensed.skippedFiles.map(({ file, reason }) => `${file} (${reason})`).join(', ')}`);
+    }
+
+    core.info(`Diff context: ${condensed.includedHunks} hunk(s), ${notes.join(', ')}`);
+
+    if (!condensed.text) {
+      return `DIFF: nothing to show, ${notes.slice(1).join(', ') || 'no hunks'}`;
+    }
+
+    return `DIFF (most relevant hunks, ${notes.join(', ')}):
+\`\`\`diff
+${condensed.text}
+\`\`\``;
+  }
+
   async saveReleaseNotes(releaseNotes, slackMessage) {
     try {
       await fs.promises.writeFile(
-        path.join(process.cwd(), 'release-notes.md'),
+        path.join(this.scratchDir, 'release-notes.md'),
         releaseNotes
       );
 
       await fs.promises.writeFile(
-        path.join(process.cwd(), 'slack-message.txt'),
+        path.join(this.scratchDir, 'slack-message.txt'),
         slackMessage
       );
 
@@ -370,27 +571,31 @@ ${slackCommits.map(change => `• ${change}`).join('\n')}`;
   }
 
   interpolateTemplate(template, prAnalysis, versionInfo) {
-    const commits = prAnalysis.commits && prAnalysis.commits.length > 0
-      ? prAnalysis.commits.map(c => `  - ${c.message.split('\n')[0]} (${c.shortSha})`).join('\n')
-      : 'No commit details available';
+    const commits = this.formatCommitsForPrompt(prAnalysis.commits);
 
     const files = prAnalysis.analysis.filesChanged.slice(0, 10).join(', ') || 'No files listed';
 
     // Build full context with PR data
     const prContext = `
 PR INFORMATION:
-- Title: ${prAnalysis.analysis.title}
+- Title: ${prAnalysis.analysis.title}${prAnalysis.analysis.package ? `\n- Package: ${prAnalysis.analysis.package.name} (${prAnalysis.analysis.package.path})` : ''}
 - Description: ${prAnalysis.analysis.body || 'No description'}
 - Author: ${prAnalysis.analysis.author}
 - Type: ${prAnalysis.analysis.changeTypes.join(', ') || 'general changes'}
 - Files changed: ${files}
-- Breaking change: ${prAnalysis.analysis.isBreakingChange ? 'Yes' : 'No'}
+- Scopes: ${(prAnalysis.analysis.scopes || []).join(', ') || 'none'}
+- Breaking change: ${this.formatBreakingForPrompt(prAnalysis.analysis)}
 - Bug fix: ${prAnalysis.analysis.isBugfix ? 'Yes' : 'No'}
 - New feature: ${prAnalysis.analysis.isFeature ? 'Yes' : 'No'}
+- Linked issues: ${this.formatIssuesForPrompt(prAnalysis.analysis)}
+- Areas: ${this.formatPathCategoriesForPrompt(prAnalysis.analysis)}
+- Dependencies: ${this.formatDependenciesForPrompt(prAnalysis.analysis)}
 
 COMMITS:
 ${commits}
 
+${this.formatDiffForPrompt(prAnalysis)}
+
 USER INSTRUCTIONS:
 ${template}
 
@@ -407,9 +612,10 @@ SLACK_MESSAGE_END
 
     return prContext
       .replace(/\$\{version\}/g, versionInfo.newVersion)
-      .replace(/\$\{previousVersion\}/g, versionInfo.previousVersion)
+      .replace(/\$\{previousVersion\}/g, versionInfo.previousVersion || '')
       .replace(/\$\{environment\}/g, this.config.inputs.environment)
       .replace(/\$\{buildNumber\}/g, versionInfo.buildNumber)
+      .replace(/\$\{packageName\}/g, versionInfo.packageName || '')
       .replace(/\$\{prTitle\}/g, prAnalysis.analysis.title)
       .replace(/\$\{prAuthor\}/g, prAnalysis.analysis.author)
       .replace(/\$\{changeTypes\}/g, prAnalysis.analysis.changeTypes.join(', '));
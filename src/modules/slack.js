@@ -6,6 +6,33 @@ class SlackNotifier {
   constructor(config) {
     this.config = config;
     this.context = github.context;
+    this.name = 'slack';
+    this.order = 30;
+  }
+
+  enabled() {
+    return Boolean(this.config.isSlackEnabled);
+  }
+
+  async publish(release) {
+    const failures = [];
+
+    for (const target of release.targets) {
+      const result = await this.sendNotification(target.releaseNotes, target.versionInfo, target.prAnalysis);
+      if (!result.sent) {
+        failures.push(result.reason);
+      }
+    }
+
+    return {
+      success: failures.length === 0,
+      reason: failures.join('; ') || null,
+      sent: release.targets.length - failures.length
+    };
+  }
+
+  async rollback() {
+    return { rolledBack: false, undoable: false, reason: 'Slack messages cannot be recalled' };
   }
 
   async sendNotification(releaseNotes, versionInfo, prAnalysis) {
@@ -39,16 +66,18 @@ class SlackNotifier {
     let message = baseMessage;
     
     // Add links based on environment
-    const prLink = this.context.payload.pull_request?.html_url;
+    const prLink = this.context.payload.pull_request?.html_url || prAnalysis?.pr?.html_url;
     const repoUrl = `${this.context.serverUrl}/${this.context.repo.owner}/${this.context.repo.repo}`;
     
     if (this.config.isProductionEnvironment && this.config.isReleaseEnabled) {
       // Production release with full links
       const releaseLink = `${repoUrl}/releases/tag/${versionInfo.tagName}`;
-      const changesLink = `${repoUrl}/compare/${versionInfo.previousVersion}...${versionInfo.tagName}`;
       
       message += `\n\n🔗 View release: ${releaseLink}`;
-      message += `\n📝 View changes: ${changesLink}`;
+      // The first release has nothing to compare against
+      if (versionInfo.previousVersion) {
+        message += `\n📝 View changes: ${repoUrl}/compare/${versionInfo.previousVersion}...${versionInfo.tagName}`;
+      }
       if (prLink) {
         message += `\n🔀 PR: ${prLink}`;
       }
@@ -62,6 +91,13 @@ class SlackNotifier {
       message += `\n💻 Commit: ${commitLink}`;
     }
     
+    // GitHub logins mean nothing to Slack, so contributors are credited without a mention
+    const contributors = prAnalysis?.analysis?.contributors || [];
+    if (this.config.inputs.slackContributors && contributors.length > 0) {
+      const names = contributors.map(contributor => `${contributor.login || contributor.name}${contributor.firstTime ? ' 🎉' : ''}`);
+      message += `\n\n👥 Contributors: ${names.join(', ')}`;
+    }
+    
     // Add mentions if specified
     const mentions = this.buildMentions();
     if (mentions) {
@@ -7,34 +7,41 @@ class VersionManager {
     this.gitUtils = gitUtils;
   }
 
-  async generateVersion(versionIncrement = null) {
+  async generateVersion(versionIncrement = null, pkg = null) {
     try {
-      const latestTag = await this.gitUtils.getLatestTag();
+      // Monorepo packages are tagged as <name>@<version>
+      const tagPrefix = pkg ? `${pkg.name}@` : this.config.inputs.versionPrefix;
+      const latestTag = await this.gitUtils.getLatestTag({ prefix: tagPrefix });
       const increment = versionIncrement || this.config.inputs.versionStrategy;
+      const label = pkg ? ` for ${pkg.name}` : '';
       
-      core.info(`Latest tag: ${latestTag}, increment: ${increment}`);
-      
-      // Clean the version (remove prefix if present)
-      const cleanLatestVersion = this.cleanVersion(latestTag);
+      const cleanLatestVersion = latestTag ? this.cleanVersion(latestTag.substring(tagPrefix.length)) : null;
+      if (latestTag) {
+        core.info(`Latest tag${label}: ${latestTag}, increment: ${increment}`);
+      } else {
+        core.info(`No previous release${label}, starting at ${this.config.inputs.initialVersion}`);
+      }
       
       let newVersion;
       
       if (this.config.isProductionEnvironment) {
-        // Production: use semantic versioning
-        newVersion = this.incrementVersion(cleanLatestVersion, increment);
+        // Production: use semantic versioning, the first release uses the initial version as is
+        newVersion = latestTag ? this.incrementVersion(cleanLatestVersion, increment) : this.config.inputs.initialVersion;
       } else {
         // Development: use dev version format
         const shortCommit = await this.gitUtils.getShortCommit();
-        newVersion = `${cleanLatestVersion}-dev.${shortCommit}`;
+        newVersion = `${cleanLatestVersion || this.config.inputs.initialVersion}-dev.${shortCommit}`;
       }
       
-      const tagName = `${this.config.inputs.versionPrefix}${newVersion}`;
+      const tagName = `${tagPrefix}${newVersion}`;
       
       return {
         newVersion,
         previousVersion: latestTag,
         tagName,
-        cleanPreviousVersion: cleanLatestVersion
+        cleanPreviousVersion: cleanLatestVersion,
+        packageName: pkg ? pkg.name : null,
+        firstRelease: !latestTag
       };
     } catch (error) {
       core.error(`Failed to generate version: ${error.message}`);
@@ -42,6 +49,65 @@ class VersionManager {
     }
   }
 
+  // After losing a tag race, picks the next version past the one that was taken
+  async reallocateVersion(versionIncrement, pkg, takenVersionInfo) {
+    const versionInfo = await this.generateVersion(versionIncrement, pkg);
+
+    // Fetched tags should include the winner, but a lagging fetch must not hand out the taken version again
+    if (semver.valid(versionInfo.newVersion) && semver.valid(takenVersionInfo.newVersion) &&
+        semver.lte(versionInfo.newVersion, takenVersionInfo.newVersion)) {
+      const tagPrefix = pkg ? `${pkg.name}@` : this.config.inputs.versionPrefix;
+      const newVersion = this.incrementVersion(takenVersionInfo.newVersion, versionIncrement || this.config.inputs.versionStrategy);
+
+      return {
+        ...versionInfo,
+        newVersion,
+        previousVersion: takenVersionInfo.tagName,
+        tagName: `${tagPrefix}${newVersion}`,
+        cleanPreviousVersion: takenVersionInfo.newVersion
+      };
+    }
+
+    return versionInfo;
+  }
+
+  // Re-runs reuse the version already tagged or released for the same commit
+  async findReleasedVersion(commits, pkg = null, releaseTags = []) {
+    const tagPrefix = pkg ? `${pkg.name}@` : this.config.inputs.versionPrefix;
+    const tags = new Set(releaseTags);
+
+    for (const commit of commits) {
+      const pointing = await this.gitUtils.getTagsPointingAt(commit);
+      pointing.forEach(tag => tags.add(tag));
+    }
+
+    const candidates = Array.from(tags)
+      .filter(tag => tag.startsWith(tagPrefix) && semver.valid(tag.substring(tagPrefix.length)))
+      .sort((a, b) => semver.rcompare(a.substring(tagPrefix.length), b.substring(tagPrefix.length)));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    core.info(`Commit already released as ${candidates[0]}, resuming that release`);
+    return await this.resumeVersion(candidates[0], pkg);
+  }
+
+  async resumeVersion(tagName, pkg = null) {
+    const tagPrefix = pkg ? `${pkg.name}@` : this.config.inputs.versionPrefix;
+    const previousVersion = await this.gitUtils.getLatestTag({ prefix: tagPrefix, ref: `${tagName}^` });
+
+    return {
+      newVersion: tagName.substring(tagPrefix.length),
+      previousVersion,
+      tagName,
+      cleanPreviousVersion: previousVersion ? this.cleanVersion(previousVersion.substring(tagPrefix.length)) : null,
+      packageName: pkg ? pkg.name : null,
+      firstRelease: !previousVersion,
+      resumed: true
+    };
+  }
+
   cleanVersion(version) {
     // Remove common prefixes
     const prefixes = ['v', 'release-', 'version-'];
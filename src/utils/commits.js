@@ -0,0 +1,125 @@
+// `Signed-off-by: ...` and `Refs #123`, plus the Conventional Commits `BREAKING CHANGE: ...` footer which git itself does not treat as a trailer
+const TRAILER_PATTERN = /^(BREAKING CHANGE|[A-Za-z0-9][A-Za-z0-9-]*)(:\s*| #)(.*)$/;
+
+// `type(scope)!: description`, the scope and the breaking marker are optional
+const HEADER_PATTERN = /^([A-Za-z][A-Za-z0-9-]*)(?:\(([^()\r\n]*)\))?(!)?: +(\S.*)$/;
+
+// Recognized types in changelog order, with the section title they are listed under
+const DEFAULT_COMMIT_TYPES = [
+  { type: 'feat', title: 'Features' },
+  { type: 'fix', title: 'Bug Fixes' },
+  { type: 'perf', title: 'Performance' },
+  { type: 'revert', title: 'Reverts' },
+  { type: 'refactor', title: 'Refactoring' },
+  { type: 'docs', title: 'Documentation' },
+  { type: 'style', title: 'Style' },
+  { type: 'test', title: 'Tests' },
+  { type: 'build', title: 'Build' },
+  { type: 'ci', title: 'CI' },
+  { type: 'chore', title: 'Chores' }
+];
+
+// Subject and body as git separates them, the body starts after the first blank line
+function splitMessage(message) {
+  const lines = (message || '').replace(/\r\n/g, '\n').split('\n');
+  const blank = lines.findIndex(line => !line.trim());
+
+  if (blank === -1) {
+    return { subject: lines.join(' ').trim(), body: '' };
+  }
+
+  return {
+    subject: lines.slice(0, blank).join(' ').trim(),
+    body: lines.slice(blank + 1).join('\n').trim()
+  };
+}
+
+// Trailers are the body's last paragraph when every line of it is `Key: value`, indented lines continue the previous value.
+// A breaking change footer also takes the unindented lines after it, as Conventional Commits lets its value wrap
+function parseTrailers(body) {
+  const paragraphs = (body || '').trim().split(/\n\s*\n/);
+  const lines = paragraphs[paragraphs.length - 1].split('\n').filter(line => line.trim());
+  const trailers = [];
+
+  for (const line of lines) {
+    const match = line.match(TRAILER_PATTERN);
+    const previous = trailers[trailers.length - 1];
+
+    if (match) {
+      const value = match[3].trim();
+      trailers.push({ key: match[1], value: match[2] === ' #' ? `#${value}` : value });
+    } else if (previous && (/^\s/.test(line) || isBreakingChangeKey(previous.key))) {
+      previous.value = `${previous.value} ${line.trim()}`.trim();
+    } else {
+      return [];
+    }
+  }
+
+  return trailers;
+}
+
+// Keys compare case-insensitively, `BREAKING-CHANGE` is the same footer as `BREAKING CHANGE`
+function normalizeTrailerKey(key) {
+  return key.toLowerCase().replace(/[\s-]+/g, '-');
+}
+
+function isBreakingChangeKey(key) {
+  return normalizeTrailerKey(key) === 'breaking-change';
+}
+
+function getTrailerValues(trailers, key) {
+  return (trailers || []).filter(trailer => normalizeTrailerKey(trailer.key) === normalizeTrailerKey(key)).map(trailer => trailer.value);
+}
+
+// `git revert` writes `Revert "<subject>"` and names the reverted commit in the body
+function isRevertMessage(subject, body) {
+  return /^revert\b/i.test(subject || '') || /^This reverts commit [0-9a-f]{7,40}/m.test(body || '');
+}
+
+// Parses a header per the Conventional Commits spec, or returns null when it does not follow it or its
+// type is not in `commitTypes`. Types compare case-insensitively, the description of a `!` header doubles as its breaking note
+function parseConventionalCommit(subject, trailers = [], commitTypes = DEFAULT_COMMIT_TYPES) {
+  const match = (subject || '').match(HEADER_PATTERN);
+  if (!match) return null;
+
+  const type = match[1].toLowerCase();
+  if (!commitTypes.some(candidate => candidate.type === type)) return null;
+
+  const description = match[4].trim();
+  const breakingFooters = getTrailerValues(trailers, 'BREAKING CHANGE');
+  const breakingNotes = breakingFooters.length > 0 ? breakingFooters : (match[3] ? [description] : []);
+
+  return {
+    type,
+    scope: match[2] ? match[2].trim() : null,
+    breaking: Boolean(match[3]) || breakingFooters.length > 0,
+    breakingNotes,
+    description,
+    footers: trailers || []
+  };
+}
+
+// Fields shared by commits read from git and from the API, `parents` are commit hashes
+function describeCommit(message, parents = []) {
+  const { subject, body } = splitMessage(message);
+  const trailers = parseTrailers(body);
+
+  return {
+    subject,
+    body,
+    trailers,
+    parents,
+    isMerge: parents.length > 1,
+    isRevert: isRevertMessage(subject, body)
+  };
+}
+
+module.exports = {
+  DEFAULT_COMMIT_TYPES,
+  splitMessage,
+  parseTrailers,
+  getTrailerValues,
+  isRevertMessage,
+  parseConventionalCommit,
+  describeCommit
+};
@@ -0,0 +1,164 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const schema = require('../../schema/release-notes.schema.json');
+
+const DEFAULT_PATHS = [
+  '.github/release-notes.yml',
+  '.github/release-notes.yaml',
+  '.github/release-notes.json'
+];
+
+// Nested settings that map onto flat action inputs
+const NESTED_INPUTS = {
+  slack: {
+    enabled: 'enable_slack',
+    channel: 'slack_channel',
+    mention_users: 'slack_mention_users',
+    mention_groups: 'slack_mention_groups',
+    contributors: 'slack_contributors'
+  },
+  significance: {
+    ignore_paths: 'significance_ignore_paths',
+    ignore_types: 'significance_ignore_types'
+  },
+  issue_tracker: {
+    keys: 'issue_tracker_keys',
+    url: 'issue_tracker_url'
+  }
+};
+
+// Settings that have no action input and are passed through as they are
+const STRUCTURED_SETTINGS = ['categories', 'path_rules'];
+
+let validateSchema = null;
+
+function findConfigFile(rootDir, explicitPath = '') {
+  if (explicitPath) {
+    const filePath = path.resolve(rootDir, explicitPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file ${explicitPath} does not exist`);
+    }
+    return filePath;
+  }
+
+  const found = DEFAULT_PATHS.map(candidate => path.join(rootDir, candidate)).find(candidate => fs.existsSync(candidate));
+  return found || null;
+}
+
+function parseConfigFile(filePath, content) {
+  try {
+    const settings = filePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    return settings || {};
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+// JSON pointers such as /slack/mention_users/2 read as slack.mention_users[2]
+function formatPath(pointer, key = null) {
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (key !== null) {
+    segments.push(key);
+  }
+
+  return segments.reduce((result, segment) => {
+    if (/^\d+$/.test(segment)) return `${result}[${segment}]`;
+    return result ? `${result}.${segment}` : segment;
+  }, '') || '(root)';
+}
+
+function validateConfigFile(settings) {
+  if (!validateSchema) {
+    validateSchema = new Ajv({ allErrors: true, strict: false }).compile(schema);
+  }
+
+  if (validateSchema(settings)) {
+    return [];
+  }
+
+  return validateSchema.errors.map(error => {
+    if (error.keyword === 'additionalProperties') {
+      return `${formatPath(error.instancePath, error.params.additionalProperty)}: unknown key`;
+    }
+    return `${formatPath(error.instancePath)}: ${error.message}`;
+  });
+}
+
+function mergeSettings(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && merged[key] && typeof merged[key] === 'object'
+      ? mergeSettings(merged[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+function toInputValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+
+  // Maps such as branch_environments become `key=value` lists
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(',');
+  }
+
+  return String(value);
+}
+
+// Flattens the file into action input values, with the environment's overrides applied
+function resolveFileInputs(settings, environment) {
+  const environments = settings.environments || {};
+  const environmentKey = Object.keys(environments).find(name => name.toLowerCase() === (environment || '').toLowerCase());
+  const resolved = mergeSettings(settings, environmentKey ? environments[environmentKey] : {});
+
+  const inputs = {};
+  const structured = {};
+
+  for (const [key, value] of Object.entries(resolved)) {
+    if (key === '$schema' || key === 'environments') continue;
+
+    if (STRUCTURED_SETTINGS.includes(key)) {
+      structured[key] = value;
+    } else if (NESTED_INPUTS[key]) {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        inputs[NESTED_INPUTS[key][nestedKey]] = toInputValue(nestedValue);
+      }
+    } else {
+      inputs[key] = toInputValue(value);
+    }
+  }
+
+  return { inputs, structured, environment: environmentKey || null };
+}
+
+function loadConfigFile(explicitPath, rootDir = process.env.GITHUB_WORKSPACE || process.cwd()) {
+  const filePath = findConfigFile(rootDir, explicitPath);
+  if (!filePath) {
+    return null;
+  }
+
+  const settings = parseConfigFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  const errors = validateConfigFile(settings);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${path.relative(rootDir, filePath)}:\n${errors.join('\n')}`);
+  }
+
+  core.info(`Loaded configuration from ${path.relative(rootDir, filePath)}`);
+  return { path: filePath, settings };
+}
+
+module.exports = {
+  findConfigFile,
+  parseConfigFile,
+  validateConfigFile,
+  resolveFileInputs,
+  loadConfigFile
+};
@@ -1,79 +1,291 @@
 const core = require('@actions/core');
+const semver = require('semver');
+const { loadConfigFile, resolveFileInputs } = require('./config-file');
+const { globToRegExp } = require('./glob');
+const { DEFAULT_COMMIT_TYPES } = require('./commits');
+
+// Defaults live here instead of action.yml, where the runner would fill them in and
+// make it impossible to tell an input set by the workflow from one the config file should set
+const INPUT_DEFAULTS = {
+  target_branch: 'main',
+  allowed_branches: 'main,master,dev,development',
+  version_strategy: 'patch',
+  version_prefix: 'v',
+  initial_version: '1.0.0',
+  include_prerelease_tags: 'false',
+  tag_max_attempts: '5',
+  environment: 'PROD',
+  create_release: 'true',
+  release_draft: 'false',
+  release_prerelease: 'false',
+  update_changelog: 'true',
+  changelog_file: 'CHANGELOG.md',
+  changelog_commit_method: 'git',
+  changelog_pull_request: 'true',
+  preview_comment: 'false',
+  rollback_on_failure: 'false',
+  enable_slack: 'false',
+  slack_contributors: 'false',
+  git_user_name: 'github-actions[bot]',
+  git_user_email: 'github-actions[bot]@users.noreply.github.com',
+  signing_method: 'none',
+  skip_if_no_changes: 'false',
+  significance_ignore_paths: 'docs/**,*.md,.github/**',
+  significance_ignore_types: 'chore,docs,ci,style,test',
+  include_commit_links: 'true',
+  include_pr_links: 'true',
+  include_contributors: 'true',
+  max_commits_fallback: '10',
+  diff_token_budget: '6000',
+  output_format: 'markdown',
+  job_summary: 'true',
+  gcp_location: 'us-central1',
+  use_vertex_ai: 'false'
+};
 
 class Config {
-  constructor() {
-    this.inputs = this.loadInputs();
+  // `source` reads the action inputs, the CLI passes its own reader for flags and files.
+  // `branch` is the branch being released, which picks the environment when mapped
+  constructor(source = core, { branch = null } = {}) {
+    const configFile = loadConfigFile(source.getInput('config_file'));
+    const baseInputs = configFile ? resolveFileInputs(configFile.settings, null).inputs : {};
+
+    // The environment decides which of the file's environment overrides apply, so it comes first
+    const branchEnvironments = this.parseBranchEnvironments(source.getInput('branch_environments') || baseInputs.branch_environments);
+    const branchEnvironment = branch ? Config.findBranchEnvironment(branchEnvironments, branch) : null;
+    const environment = source.getInput('environment') || branchEnvironment || baseInputs.environment || INPUT_DEFAULTS.environment;
+
+    const fileSettings = configFile
+      ? resolveFileInputs(configFile.settings, environment)
+      : { inputs: {}, structured: {} };
+
+    this.configFile = configFile ? configFile.path : null;
+    this.inputs = this.loadInputs(this.layerInputs(source, fileSettings.inputs));
+    this.inputs.environment = environment;
+    this.inputs.branchEnvironments = branchEnvironments;
+    this.inputs.categories = fileSettings.structured.categories || [];
+    this.inputs.pathRules = fileSettings.structured.path_rules || [];
     this.validate();
+
+    if (branchEnvironment && !source.getInput('environment')) {
+      core.info(`Environment ${environment} selected for branch ${branch}`);
+    }
   }
 
-  loadInputs() {
+  // `main=PROD, release/*=STAGING` in order, the first matching pattern wins
+  parseBranchEnvironments(value) {
+    return this.parseList(value).map(entry => {
+      const separator = entry.lastIndexOf('=');
+      return {
+        pattern: separator === -1 ? entry : entry.substring(0, separator).trim(),
+        environment: separator === -1 ? '' : entry.substring(separator + 1).trim()
+      };
+    });
+  }
+
+  static findBranchEnvironment(branchEnvironments, branch) {
+    const match = (branchEnvironments || []).find(({ pattern }) => globToRegExp(pattern).test(branch));
+    return match ? match.environment : null;
+  }
+
+  // Action inputs set by the workflow win over the config file, which wins over the defaults.
+  // A source that knows which inputs were given (`hasInput`, e.g. the CLI) can clear a file setting
+  // with an empty value. The runner passes every declared input, empty when left out, so for the
+  // action only non-empty inputs count as set
+  layerInputs(source, fileInputs) {
+    const isSet = name => (typeof source.hasInput === 'function' ? source.hasInput(name) : source.getInput(name) !== '');
+    const getInput = name => (isSet(name) ? source.getInput(name) : fileInputs[name] || INPUT_DEFAULTS[name] || '');
+
+    return {
+      getInput,
+      getBooleanInput: name => {
+        const value = getInput(name);
+        if (['true', 'True', 'TRUE'].includes(value)) return true;
+        if (['false', 'False', 'FALSE', ''].includes(value)) return false;
+        throw new TypeError(`Input does not meet YAML 1.2 "Core Schema" specification: ${name}`);
+      }
+    };
+  }
+
+  loadInputs(source) {
+    const rollbackOnFailure = source.getBooleanInput('rollback_on_failure');
+    
     return {
       // Core Configuration
-      triggerLabel: core.getInput('trigger_label'),
-      targetBranch: core.getInput('target_branch') || 'main',
+      triggerLabel: source.getInput('trigger_label'),
+      targetBranch: source.getInput('target_branch') || 'main',
+      allowedBranches: this.parseList(source.getInput('allowed_branches')),
+      
+      // Manual Range (workflow_dispatch)
+      fromRef: source.getInput('from_ref'),
+      toRef: source.getInput('to_ref'),
       
       // AI Configuration
-      geminiApiKey: core.getInput('gemini_api_key'),
-      customPrompt: core.getInput('custom_prompt'),
+      geminiApiKey: source.getInput('gemini_api_key'),
+      customPrompt: source.getInput('custom_prompt'),
+      // 0 leaves the diff out of the prompt
+      diffTokenBudget: parseInt(source.getInput('diff_token_budget'), 10),
       
       // Version Management
-      versionStrategy: core.getInput('version_strategy') || 'patch',
-      versionPrefix: core.getInput('version_prefix') || 'v',
+      versionStrategy: source.getInput('version_strategy') || 'patch',
+      versionPrefix: source.getInput('version_prefix') || 'v',
+      initialVersion: source.getInput('initial_version'),
+      tagPattern: source.getInput('tag_pattern'),
+      includePrereleaseTags: source.getBooleanInput('include_prerelease_tags'),
+      tagMaxAttempts: parseInt(source.getInput('tag_max_attempts')) || 5,
       
       // Environment
-      environment: core.getInput('environment') || 'PROD',
+      environment: source.getInput('environment') || 'PROD',
       
       // GitHub Release
-      createRelease: core.getBooleanInput('create_release'),
-      releaseDraft: core.getBooleanInput('release_draft'),
-      releasePrerelease: core.getBooleanInput('release_prerelease'),
+      createRelease: source.getBooleanInput('create_release'),
+      releaseDraft: source.getBooleanInput('release_draft'),
+      releasePrerelease: source.getBooleanInput('release_prerelease'),
+      
+      // Monorepo
+      packages: this.parseList(source.getInput('packages')),
       
       // Changelog
-      updateChangelog: core.getBooleanInput('update_changelog'),
-      changelogFile: core.getInput('changelog_file') || 'CHANGELOG.md',
+      updateChangelog: source.getBooleanInput('update_changelog'),
+      changelogFile: source.getInput('changelog_file') || 'CHANGELOG.md',
+      changelogCommitMethod: source.getInput('changelog_commit_method') || 'git',
+      changelogPullRequest: source.getBooleanInput('changelog_pull_request'),
+      
+      // Pull Request Preview
+      previewComment: source.getBooleanInput('preview_comment'),
+      
+      // Publishers
+      publishersOrder: this.parseList(source.getInput('publishers_order')),
+      // With rollback on, a failed changelog or release undoes the whole release by default
+      requiredPublishers: this.parseList(source.getInput('required_publishers') || (rollbackOnFailure ? 'changelog,github-release' : '')),
+      rollbackOnFailure,
       
       // Slack
-      enableSlack: core.getBooleanInput('enable_slack'),
-      slackWebhookUrl: core.getInput('slack_webhook_url'),
-      slackChannel: core.getInput('slack_channel'),
-      slackMentionUsers: core.getInput('slack_mention_users'),
-      slackMentionGroups: core.getInput('slack_mention_groups'),
+      enableSlack: source.getBooleanInput('enable_slack'),
+      slackWebhookUrl: source.getInput('slack_webhook_url'),
+      slackChannel: source.getInput('slack_channel'),
+      slackMentionUsers: source.getInput('slack_mention_users'),
+      slackMentionGroups: source.getInput('slack_mention_groups'),
+      slackContributors: source.getBooleanInput('slack_contributors'),
       
       // Git
-      gitUserName: core.getInput('git_user_name') || 'github-actions[bot]',
-      gitUserEmail: core.getInput('git_user_email') || 'github-actions[bot]@users.noreply.github.com',
+      gitUserName: source.getInput('git_user_name') || 'github-actions[bot]',
+      gitUserEmail: source.getInput('git_user_email') || 'github-actions[bot]@users.noreply.github.com',
+      signingMethod: source.getInput('signing_method') || 'none',
+      signingKey: source.getInput('signing_key'),
+      signingKeyPassphrase: source.getInput('signing_key_passphrase'),
       
       // Advanced Options
-      skipIfNoChanges: core.getBooleanInput('skip_if_no_changes'),
-      includeCommitLinks: core.getBooleanInput('include_commit_links'),
-      includePrLinks: core.getBooleanInput('include_pr_links'),
-      maxCommitsFallback: parseInt(core.getInput('max_commits_fallback')) || 10,
-      outputFormat: core.getInput('output_format') || 'markdown',
+      skipIfNoChanges: source.getBooleanInput('skip_if_no_changes'),
+      significanceIgnorePaths: this.parseList(source.getInput('significance_ignore_paths') || 'docs/**,*.md,.github/**'),
+      significanceIgnoreTypes: this.parseList(source.getInput('significance_ignore_types') || 'chore,docs,ci,style,test')
+        .map(type => type.toLowerCase()),
+      commitTypes: this.parseCommitTypes(source.getInput('commit_types')),
+      issueTrackerKeys: this.parseList(source.getInput('issue_tracker_keys')),
+      issueTrackerUrl: source.getInput('issue_tracker_url'),
+      includeCommitLinks: source.getBooleanInput('include_commit_links'),
+      includePrLinks: source.getBooleanInput('include_pr_links'),
+      includeContributors: source.getBooleanInput('include_contributors'),
+      maxCommitsFallback: parseInt(source.getInput('max_commits_fallback')) || 10,
+      outputFormat: source.getInput('output_format') || 'markdown',
+      jobSummary: source.getBooleanInput('job_summary'),
       
       // GCP Configuration
-      gcpProjectId: core.getInput('gcp_project_id'),
-      gcpLocation: core.getInput('gcp_location') || 'us-central1',
-      gcpWorkloadIdentityProvider: core.getInput('gcp_workload_identity_provider'),
-      gcpServiceAccount: core.getInput('gcp_service_account'),
-      useVertexAi: core.getBooleanInput('use_vertex_ai')
+      gcpProjectId: source.getInput('gcp_project_id'),
+      gcpLocation: source.getInput('gcp_location') || 'us-central1',
+      gcpWorkloadIdentityProvider: source.getInput('gcp_workload_identity_provider'),
+      gcpServiceAccount: source.getInput('gcp_service_account'),
+      useVertexAi: source.getBooleanInput('use_vertex_ai')
     };
   }
 
+  // `feat=Features, fix=Bug Fixes` in changelog order, a type without a title keeps its default title
+  parseCommitTypes(value) {
+    const entries = this.parseList(value);
+    if (entries.length === 0) {
+      return DEFAULT_COMMIT_TYPES;
+    }
+
+    return entries.map(entry => {
+      const separator = entry.indexOf('=');
+      const type = (separator === -1 ? entry : entry.substring(0, separator)).trim().toLowerCase();
+      const known = DEFAULT_COMMIT_TYPES.find(candidate => candidate.type === type);
+      const title = separator === -1 ? '' : entry.substring(separator + 1).trim();
+      return { type, title: title || (known ? known.title : type) };
+    });
+  }
+
+  parseList(value) {
+    return (value || '')
+      .split(/[,\n]/)
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+
   validate() {
     const errors = [];
 
+    // Validate branch to environment mapping
+    this.inputs.branchEnvironments
+      .filter(({ pattern, environment }) => !pattern || !environment)
+      .forEach(({ pattern, environment }) => {
+        errors.push(`Invalid branch_environments entry: ${pattern}${environment ? `=${environment}` : ''}. Expected branch=ENVIRONMENT`);
+      });
+
     // Validate version strategy
     const validVersionStrategies = ['patch', 'minor', 'major', 'auto'];
     if (!validVersionStrategies.includes(this.inputs.versionStrategy)) {
       errors.push(`Invalid version_strategy: ${this.inputs.versionStrategy}. Must be one of: ${validVersionStrategies.join(', ')}`);
     }
 
+    // Validate the version of the first release
+    if (!semver.valid(this.inputs.initialVersion)) {
+      errors.push(`Invalid initial_version: ${this.inputs.initialVersion}. Must be a semantic version like 1.0.0`);
+    }
+
+    // Validate conventional commit types
+    this.inputs.commitTypes
+      .filter(({ type }) => !/^[a-z][a-z0-9-]*$/.test(type))
+      .forEach(({ type }) => {
+        errors.push(`Invalid commit_types entry: ${type}. Types are letters, digits and dashes`);
+      });
+
+    // Validate issue tracker keys, e.g. PROJ for PROJ-123
+    this.inputs.issueTrackerKeys
+      .filter(key => !/^[A-Z][A-Z0-9_]*$/.test(key))
+      .forEach(key => {
+        errors.push(`Invalid issue_tracker_keys entry: ${key}. Keys are uppercase letters, digits and underscores`);
+      });
+
+    if (this.inputs.issueTrackerUrl && !this.inputs.issueTrackerUrl.includes('{key}')) {
+      errors.push(`Invalid issue_tracker_url: ${this.inputs.issueTrackerUrl}. It must contain {key}, e.g. https://example.atlassian.net/browse/{key}`);
+    }
+
+    // Validate the diff budget of the AI prompt
+    if (Number.isNaN(this.inputs.diffTokenBudget) || this.inputs.diffTokenBudget < 0) {
+      errors.push('Invalid diff_token_budget. Must be a number of tokens, or 0 to leave the diff out');
+    }
+
     // Validate output format
     const validOutputFormats = ['markdown', 'html', 'json'];
     if (!validOutputFormats.includes(this.inputs.outputFormat)) {
       errors.push(`Invalid output_format: ${this.inputs.outputFormat}. Must be one of: ${validOutputFormats.join(', ')}`);
     }
 
+    // Validate how the changelog is committed
+    const validCommitMethods = ['git', 'api'];
+    if (!validCommitMethods.includes(this.inputs.changelogCommitMethod)) {
+      errors.push(`Invalid changelog_commit_method: ${this.inputs.changelogCommitMethod}. Must be one of: ${validCommitMethods.join(', ')}`);
+    }
+
+    // Validate tag and commit signing
+    const validSigningMethods = ['none', 'gpg', 'ssh', 'api'];
+    if (!validSigningMethods.includes(this.inputs.signingMethod)) {
+      errors.push(`Invalid signing_method: ${this.inputs.signingMethod}. Must be one of: ${validSigningMethods.join(', ')}`);
+    } else if (['gpg', 'ssh'].includes(this.inputs.signingMethod) && !this.inputs.signingKey) {
+      errors.push(`signing_key is required when signing_method is ${this.inputs.signingMethod}`);
+    }
+
     // Validate Slack configuration
     if (this.inputs.enableSlack) {
       if (!this.inputs.slackWebhookUrl) {
@@ -114,6 +326,18 @@ class Config {
     return this.inputs.updateChangelog;
   }
 
+  get isPreviewEnabled() {
+    return this.inputs.previewComment;
+  }
+
+  get isMonorepo() {
+    return this.inputs.packages.length > 0;
+  }
+
+  get isRollbackEnabled() {
+    return this.inputs.rollbackOnFailure;
+  }
+
   get isAiEnabled() {
     return this.inputs.geminiApiKey || this.inputs.useVertexAi;
   }
@@ -0,0 +1,80 @@
+const { getTrailerValues } = require('./commits');
+
+// `12345+login@users.noreply.github.com`, or the older `login@users.noreply.github.com`
+const NOREPLY_PATTERN = /^(?:\d+\+)?([A-Za-z0-9][A-Za-z0-9-]*(?:\[bot\])?)@users\.noreply\.github\.com$/i;
+
+// Splits `Jane Doe <jane@example.com>` as written in Co-authored-by trailers
+function parseIdentity(value) {
+  const match = (value || '').match(/^(.*?)\s*<([^>]*)>\s*$/);
+  return match ? { name: match[1].trim(), email: match[2].trim() } : { name: (value || '').trim(), email: '' };
+}
+
+function loginFromEmail(email) {
+  const match = (email || '').match(NOREPLY_PATTERN);
+  return match ? match[1] : null;
+}
+
+// Apps commit as `name[bot]`, and GitHub marks their accounts as bots
+function isBot({ login, name, email, type }) {
+  return type === 'Bot' || [login, name, email].some(value => /\[bot\]/i.test(value || ''));
+}
+
+// Everyone credited for a release: PR authors, commit authors and co-authors, one entry per
+// GitHub login. Authors known only by name and email are merged into the login sharing them
+function collectContributors(pullRequests = [], commits = []) {
+  const contributors = [];
+  const aliases = new Map();
+
+  const add = ({ login = null, name = '', email = '', type = null }, pullRequest = null) => {
+    const identity = { login: login || loginFromEmail(email), name, email, type };
+    if (isBot(identity) || (!identity.login && !name && !email)) return;
+
+    const keys = [
+      identity.login && `login:${identity.login.toLowerCase()}`,
+      email && `email:${email.toLowerCase()}`,
+      name && `name:${name.toLowerCase()}`
+    ].filter(Boolean);
+
+    // Two logins are two people, even when their names or emails collide
+    let contributor = keys
+      .map(key => aliases.get(key))
+      .find(candidate => candidate && (!identity.login || !candidate.login || candidate.login.toLowerCase() === identity.login.toLowerCase()));
+    if (!contributor) {
+      contributor = { login: identity.login, name: name || identity.login, pullRequests: [] };
+      contributors.push(contributor);
+    } else {
+      if (!contributor.login && identity.login) contributor.login = identity.login;
+      if (name && contributor.name === contributor.login) contributor.name = name;
+    }
+
+    keys.forEach(key => aliases.set(key, contributor));
+    if (pullRequest && !contributor.pullRequests.includes(pullRequest)) {
+      contributor.pullRequests.push(pullRequest);
+    }
+  };
+
+  pullRequests.forEach(pr => {
+    if (pr.user?.login) add({ login: pr.user.login, type: pr.user.type }, pr.number);
+  });
+
+  commits.filter(commit => !commit.isMerge).forEach(commit => {
+    add({ login: commit.login, name: commit.author, email: commit.email, type: commit.authorType });
+    getTrailerValues(commit.trailers, 'Co-authored-by').forEach(value => add(parseIdentity(value)));
+  });
+
+  return contributors;
+}
+
+// `@login`, linked to the profile when `serverUrl` is given, or the name of authors without a login
+function formatContributor(contributor, serverUrl = null) {
+  if (!contributor.login) return contributor.name;
+  return serverUrl ? `[@${contributor.login}](${serverUrl}/${contributor.login})` : `@${contributor.login}`;
+}
+
+module.exports = {
+  parseIdentity,
+  loginFromEmail,
+  isBot,
+  collectContributors,
+  formatContributor
+};
@@ -0,0 +1,300 @@
+const path = require('path');
+const semver = require('semver');
+
+// Dependencies listed in the notes, the rest are summarized
+const MAX_LISTED_DEPENDENCIES = 20;
+
+const PACKAGE_JSON_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// A version or range as found in package.json, rather than a script or a name
+const VERSION_LIKE = /^(?:[~^<>=v*]|\d|workspace:|npm:)/;
+
+// Every parser reads the diff lines of one file and reports the dependency versions found on
+// removed (`-`) and added (`+`) lines. Context lines only tell which package a line belongs to
+const PARSERS = [
+  { match: name => name === 'package.json', ecosystem: 'npm', lockfile: false, parse: parsePackageJson },
+  { match: name => name === 'package-lock.json', ecosystem: 'npm', lockfile: true, parse: parsePackageLock },
+  { match: name => name === 'yarn.lock', ecosystem: 'npm', lockfile: true, parse: parseYarnLock },
+  { match: name => name === 'pnpm-lock.yaml', ecosystem: 'npm', lockfile: true, parse: parsePnpmLock },
+  { match: name => /^requirements.*\.txt$/.test(name), ecosystem: 'pip', lockfile: false, parse: parseRequirements },
+  { match: name => name === 'go.mod', ecosystem: 'go', lockfile: false, parse: parseGoMod }
+];
+
+// Splits a unified diff into the hunk lines of each file, `{ file, lines: [{ sign, text }] }`
+function splitDiff(diff) {
+  const files = [];
+  let current = null;
+
+  (diff || '').split('\n').forEach(line => {
+    const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (header) {
+      current = { file: header[2], lines: [], inHunk: false };
+      files.push(current);
+      return;
+    }
+
+    if (!current) return;
+
+    if (line.startsWith('@@')) {
+      current.inHunk = true;
+      current.lines.push({ sign: '@', text: '' });
+    } else if (current.inHunk && /^[ +-]/.test(line)) {
+      current.lines.push({ sign: line[0], text: line.substring(1) });
+    }
+  });
+
+  return files;
+}
+
+// Tracks state separately for the old (`-`) and the new (`+`) side of the file, context lines feed both
+function forEachSide(lines, visit) {
+  lines.forEach(({ sign, text }) => {
+    if (sign === '@') {
+      visit('@', text, 'old');
+      visit('@', text, 'new');
+    } else if (sign === ' ') {
+      visit(' ', text, 'old');
+      visit(' ', text, 'new');
+    } else {
+      visit(sign, text, sign === '-' ? 'old' : 'new');
+    }
+  });
+}
+
+function createCollector() {
+  const versions = { old: new Map(), new: new Map() };
+  return {
+    versions,
+    record: (side, name, version) => versions[side].set(name, version)
+  };
+}
+
+function parsePackageJson(lines) {
+  const { versions, record } = createCollector();
+  // `undefined` until a section opener is seen in the hunk, `null` at the top level
+  const section = { old: undefined, new: undefined };
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign === '@') {
+      section[side] = undefined;
+      return;
+    }
+
+    const opener = text.match(/^\s*"([^"]+)":\s*\{\s*$/);
+    if (opener) {
+      section[side] = opener[1];
+      return;
+    }
+    if (/^\s*\},?\s*$/.test(text)) {
+      section[side] = null;
+      return;
+    }
+
+    const entry = text.match(/^(\s*)"([^"]+)":\s*"([^"]*)",?\s*$/);
+    if (!entry || sign === ' ') return;
+
+    const inDependencies = PACKAGE_JSON_SECTIONS.includes(section[side]);
+    // Outside a visible section, dependencies are the nested entries with a version for a value
+    const looksLikeDependency = section[side] === undefined && entry[1].length >= 4 && VERSION_LIKE.test(entry[3]);
+    if (inDependencies || looksLikeDependency) {
+      record(side, entry[2], entry[3]);
+    }
+  });
+
+  return versions;
+}
+
+// `"node_modules/lodash": { "version": ... }` since lockfile v2, `"lodash": { "version": ... }` in v1
+function parsePackageLock(lines) {
+  const { versions, record } = createCollector();
+  const current = { old: null, new: null };
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign === '@') {
+      current[side] = null;
+      return;
+    }
+
+    const opener = text.match(/^(\s*)"([^"]*)":\s*\{\s*$/);
+    if (opener) {
+      const key = opener[2];
+      const topLevel = key.startsWith('node_modules/') && !key.includes('/node_modules/');
+      const legacy = opener[1].length === 4 && !['', 'packages', 'dependencies'].includes(key) && !key.includes('node_modules');
+      current[side] = topLevel ? key.substring('node_modules/'.length) : (legacy ? key : null);
+      return;
+    }
+
+    const version = text.match(/^\s*"version":\s*"([^"]+)"/);
+    if (version && sign !== ' ' && current[side]) {
+      record(side, current[side], version[1]);
+    }
+  });
+
+  return versions;
+}
+
+// `lodash@^4.17.20:` in yarn 1, `"lodash@npm:^4.17.20":` in yarn 2+, followed by the resolved version
+function parseYarnLock(lines) {
+  const { versions, record } = createCollector();
+  const current = { old: null, new: null };
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign === '@') {
+      current[side] = null;
+      return;
+    }
+
+    const header = text.match(/^"?(@?[^@\s"]+)@[^\n]*:\s*$/);
+    if (header) {
+      current[side] = header[1];
+      return;
+    }
+
+    const version = text.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+    if (version && sign !== ' ' && current[side]) {
+      record(side, current[side], version[1]);
+    }
+  });
+
+  return versions;
+}
+
+// Package keys carry the version: `/lodash/4.17.21` (v5), `/lodash@4.17.21` (v6), `lodash@4.17.21` (v9)
+function parsePnpmLock(lines) {
+  const { versions, record } = createCollector();
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign !== '+' && sign !== '-') return;
+
+    const key = text.match(/^ {2}'?([^\s':]+)'?:\s*$/);
+    if (!key) return;
+
+    const id = key[1].replace(/^\//, '').replace(/\(.*$/, '');
+    const separator = id.lastIndexOf('@') > 0 ? id.lastIndexOf('@') : id.lastIndexOf('/');
+    const name = id.substring(0, separator);
+    const version = id.substring(separator + 1);
+
+    if (separator > 0 && /^\d/.test(version)) {
+      record(side, name, version);
+    }
+  });
+
+  return versions;
+}
+
+// `requests==2.31.0`, or any other specifier. Names compare as pip does, case and `_` insensitive
+function parseRequirements(lines) {
+  const { versions, record } = createCollector();
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign !== '+' && sign !== '-') return;
+
+    const requirement = text.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*(?:(===?|~=|>=|<=|!=|>|<)\s*([^\s,;#]+))?/);
+    if (!requirement) return;
+
+    const name = requirement[1].toLowerCase().replace(/[._]+/g, '-');
+    record(side, name, requirement[3] ? (requirement[2].startsWith('==') ? requirement[3] : `${requirement[2]}${requirement[3]}`) : '');
+  });
+
+  return versions;
+}
+
+// `require example.com/mod v1.2.3` or a line of a require block. Indirect requirements are left out
+function parseGoMod(lines) {
+  const { versions, record } = createCollector();
+
+  forEachSide(lines, (sign, text, side) => {
+    if (sign !== '+' && sign !== '-') return;
+
+    const requirement = text.match(/^\s*(?:require\s+)?([^\s()]+[./][^\s()]*)\s+(v[^\s]+)\s*(\/\/.*)?$/);
+    if (!requirement || /^\s*(?:module|go|toolchain|replace|exclude|retract)\s/.test(text)) return;
+    if (requirement[3] && /indirect/.test(requirement[3])) return;
+
+    record(side, requirement[1], requirement[2]);
+  });
+
+  return versions;
+}
+
+function classifyChange(from, to) {
+  if (from === null) return { change: 'added', major: false };
+  if (to === null) return { change: 'removed', major: false };
+
+  const previous = semver.coerce(from);
+  const next = semver.coerce(to);
+  if (!previous || !next || semver.eq(previous, next)) {
+    return { change: 'changed', major: false };
+  }
+
+  return semver.gt(next, previous)
+    ? { change: 'upgraded', major: next.major > previous.major }
+    : { change: 'downgraded', major: false };
+}
+
+// Added, removed and upgraded dependencies of the manifests and lockfiles in a unified diff.
+// Lockfiles resolve the exact versions of the packages their manifest changed, and only report
+// packages of their own when the manifest next to them did not change, e.g. after `npm update`
+function parseDependencyChanges(diff) {
+  const groups = new Map();
+
+  splitDiff(diff).forEach(({ file, lines }) => {
+    const parser = PARSERS.find(candidate => candidate.match(path.posix.basename(file)));
+    if (!parser) return;
+
+    const key = `${parser.ecosystem}:${path.posix.dirname(file)}`;
+    if (!groups.has(key)) groups.set(key, { manifests: [], lockfiles: [] });
+
+    const versions = parser.parse(lines);
+    const changes = [];
+    new Set([...versions.old.keys(), ...versions.new.keys()]).forEach(name => {
+      const from = versions.old.has(name) ? versions.old.get(name) : null;
+      const to = versions.new.has(name) ? versions.new.get(name) : null;
+      if (from !== to) {
+        changes.push({ name, ecosystem: parser.ecosystem, manifest: file, from, to });
+      }
+    });
+
+    groups.get(key)[parser.lockfile ? 'lockfiles' : 'manifests'].push(...changes);
+  });
+
+  const dependencies = [];
+  groups.forEach(({ manifests, lockfiles }) => {
+    if (manifests.length === 0) {
+      dependencies.push(...lockfiles);
+      return;
+    }
+
+    manifests.forEach(change => {
+      const resolved = lockfiles.find(candidate => candidate.name === change.name);
+      dependencies.push(resolved ? { ...change, from: resolved.from, to: resolved.to } : change);
+    });
+  });
+
+  return dependencies.map(dependency => ({ ...dependency, ...classifyChange(dependency.from, dependency.to) }));
+}
+
+// `Upgraded `react` from 17.0.2 to 18.2.0 (major)` list entries
+function formatDependencyChanges(dependencies) {
+  const lines = dependencies.slice(0, MAX_LISTED_DEPENDENCIES).map(({ name, change, from, to, major }) => {
+    const label = `\`${name}\``;
+    switch (change) {
+      case 'added':
+        return `Added ${label}${to ? ` ${to}` : ''}`;
+      case 'removed':
+        return `Removed ${label}${from ? ` ${from}` : ''}`;
+      default:
+        return `${change.charAt(0).toUpperCase()}${change.slice(1)} ${label} from ${from} to ${to}${major ? ' ⚠️ major' : ''}`;
+    }
+  });
+
+  if (dependencies.length > MAX_LISTED_DEPENDENCIES) {
+    lines.push(`and ${dependencies.length - MAX_LISTED_DEPENDENCIES} more`);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  parseDependencyChanges,
+  formatDependencyChanges
+};
@@ -0,0 +1,135 @@
+const path = require('path');
+const { matchesAnyGlob } = require('./glob');
+
+// Files whose diff says nothing a reader of the release notes cares about
+const LOCKFILES = [
+  'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'npm-shrinkwrap.json', 'go.sum',
+  'Cargo.lock', 'Gemfile.lock', 'composer.lock', 'poetry.lock', 'Pipfile.lock'
+];
+const GENERATED_PATHS = [
+  'dist/**', 'build/**', 'vendor/**', '**/__snapshots__/**',
+  '*.min.js', '*.min.css', '*.map', '*.snap', '*.pb.go', '*.generated.*'
+];
+
+// Code matters most, tests and docs explain it less directly
+const TEST_PATHS = ['**/__tests__/**', '**/test/**', '**/tests/**', '*.test.*', '*.spec.*', '*_test.go', 'test_*.py'];
+const DOC_PATHS = ['docs/**', '*.md', '*.mdx', '*.rst', '*.txt'];
+const CONFIG_PATHS = ['*.json', '*.yml', '*.yaml', '*.toml', '*.ini', '.github/**'];
+
+// Changed lines counted per hunk before a long hunk stops scoring higher
+const MAX_SCORED_LINES = 40;
+
+// Lines that define or export something usually carry the point of a change
+const DEFINITION_PATTERN = /^[+-]\s*(?:export\s|module\.exports|(?:async\s+)?function\s|class\s|def\s|func\s|public\s|interface\s|type\s+\w+\s*[=<{])/m;
+
+// About four characters per token for code and English, close enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Why a file is left out of the prompt, or null when it is kept
+function skipReason(file, binary) {
+  if (binary) return 'binary';
+  if (LOCKFILES.includes(path.posix.basename(file))) return 'lockfile';
+  if (matchesAnyGlob(file, GENERATED_PATHS)) return 'generated';
+  return null;
+}
+
+function pathWeight(file) {
+  if (matchesAnyGlob(file, TEST_PATHS)) return 0.5;
+  if (matchesAnyGlob(file, DOC_PATHS)) return 0.3;
+  if (matchesAnyGlob(file, CONFIG_PATHS)) return 0.6;
+  return 1;
+}
+
+// `{ file, binary, hunks: [text] }` per file of a unified diff, without the index and ---/+++ lines
+function parseHunks(diff) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  diff.split('\n').forEach(line => {
+    const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    if (header) {
+      current = { file: header[2], header: line, binary: false, hunks: [] };
+      hunk = null;
+      files.push(current);
+      return;
+    }
+
+    if (!current) return;
+
+    if (line.startsWith('Binary files ') || line.startsWith('GIT binary patch')) {
+      current.binary = true;
+    } else if (line.startsWith('@@')) {
+      hunk = [line];
+      current.hunks.push(hunk);
+    } else if (hunk) {
+      hunk.push(line);
+    }
+  });
+
+  return files.map(file => ({ ...file, hunks: file.hunks.map(lines => lines.join('\n').replace(/\n+$/, '')) }));
+}
+
+function scoreHunk(file, hunk) {
+  const changed = hunk.split('\n').filter(line => /^[+-]/.test(line)).length;
+  const definition = DEFINITION_PATTERN.test(hunk) ? 1.5 : 1;
+  return Math.min(changed, MAX_SCORED_LINES) * pathWeight(file) * definition;
+}
+
+// Condenses a unified diff to the hunks most worth reading that fit in `tokenBudget` tokens.
+// Lockfiles, generated and binary files are dropped, the remaining hunks are ranked by how much
+// they change, where, and whether they touch definitions. The kept hunks stay in diff order
+function condenseDiff(diff, { tokenBudget, paths = null } = {}) {
+  const result = { text: '', estimatedTokens: 0, includedHunks: 0, omittedHunks: 0, skippedFiles: [] };
+  if (!diff || tokenBudget <= 0) return result;
+
+  const files = parseHunks(diff).filter(file => !paths || paths.includes(file.file));
+  const candidates = [];
+
+  files.forEach((file, fileIndex) => {
+    const reason = skipReason(file.file, file.binary);
+    if (reason) {
+      result.skippedFiles.push({ file: file.file, reason });
+      return;
+    }
+
+    file.hunks.forEach((hunk, hunkIndex) => {
+      candidates.push({ fileIndex, hunkIndex, hunk, score: scoreHunk(file.file, hunk), tokens: estimateTokens(`${hunk}\n`) });
+    });
+  });
+
+  // Greedy by score, a hunk too large for what is left makes room for smaller ones further down
+  const ranked = [...candidates].sort((a, b) => b.score - a.score || a.fileIndex - b.fileIndex || a.hunkIndex - b.hunkIndex);
+  const included = new Set();
+  const headers = new Set();
+  let used = 0;
+
+  ranked.forEach(candidate => {
+    const headerTokens = headers.has(candidate.fileIndex) ? 0 : estimateTokens(`${files[candidate.fileIndex].header}\n`);
+    if (used + headerTokens + candidate.tokens > tokenBudget) return;
+
+    used += headerTokens + candidate.tokens;
+    headers.add(candidate.fileIndex);
+    included.add(candidate);
+  });
+
+  const sections = files
+    .map((file, fileIndex) => {
+      const hunks = candidates.filter(candidate => candidate.fileIndex === fileIndex && included.has(candidate));
+      return hunks.length > 0 ? [file.header, ...hunks.map(candidate => candidate.hunk)].join('\n') : null;
+    })
+    .filter(Boolean);
+
+  result.text = sections.join('\n');
+  result.estimatedTokens = estimateTokens(result.text);
+  result.includedHunks = included.size;
+  result.omittedHunks = candidates.length - included.size;
+  return result;
+}
+
+module.exports = {
+  estimateTokens,
+  condenseDiff
+};
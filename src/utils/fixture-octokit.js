@@ -0,0 +1,86 @@
+/*
+ * Recorded GitHub API responses for offline runs of the CLI.
+ *
+ * A fixture maps `<namespace>.<method>` (plus `:<format>` for requests such as
+ * `mediaType: { format: 'diff' }`) to a list of calls:
+ *
+ *   { "pulls.get": [{ "params": { "pull_number": 12 }, "data": { ... } }] }
+ *
+ * The first call whose `params` are all present in the request answers it, a
+ * call without `params` matches any request. `owner` and `repo` are never recorded.
+ */
+const IGNORED_PARAMS = ['owner', 'repo', 'mediaType'];
+
+function fixtureKey(namespace, method, params = {}) {
+  const format = params.mediaType?.format;
+  return `${namespace}.${method}${format ? `:${format}` : ''}`;
+}
+
+function recordedParams(params = {}) {
+  return Object.fromEntries(Object.entries(params).filter(([key]) => !IGNORED_PARAMS.includes(key)));
+}
+
+function matchesParams(expected = {}, actual = {}) {
+  return Object.entries(expected).every(([key, value]) => JSON.stringify(actual[key]) === JSON.stringify(value));
+}
+
+// Builds `rest.<namespace>.<method>()` on demand, so any endpoint can be answered. Each method
+// remembers its endpoint, which is how `paginate()` knows what it was handed
+function createRestProxy(handler) {
+  return new Proxy({}, {
+    get: (namespaces, namespace) => new Proxy({}, {
+      get: (methods, method) => Object.assign(
+        params => handler(String(namespace), String(method), params || {}),
+        { namespace: String(namespace), method: String(method) }
+      )
+    })
+  });
+}
+
+function createFixtureOctokit(fixture) {
+  const rest = createRestProxy(async (namespace, method, params) => {
+    const key = fixtureKey(namespace, method, params);
+    const call = (fixture[key] || []).find(entry => matchesParams(entry.params, params));
+
+    if (!call) {
+      throw new Error(`No recorded response for ${key} ${JSON.stringify(recordedParams(params))}`);
+    }
+
+    return { status: 200, data: call.data };
+  });
+
+  // Paginated lists are recorded whole, as a single response
+  const paginate = async (endpoint, params) => (await endpoint(params)).data;
+
+  return { rest, paginate };
+}
+
+// Wraps a real client and stores every response in `fixture`, ready to be saved
+function createRecordingOctokit(octokit, fixture) {
+  const rest = createRestProxy(async (namespace, method, params) => {
+    const response = await octokit.rest[namespace][method](params);
+    const key = fixtureKey(namespace, method, params);
+
+    fixture[key] = fixture[key] || [];
+    fixture[key].push({ params: recordedParams(params), data: response.data });
+
+    return response;
+  });
+
+  const paginate = async (endpoint, params) => {
+    const data = await octokit.paginate(octokit.rest[endpoint.namespace][endpoint.method], params);
+    const key = fixtureKey(endpoint.namespace, endpoint.method, params);
+
+    fixture[key] = fixture[key] || [];
+    fixture[key].push({ params: recordedParams(params), data });
+
+    return data;
+  };
+
+  return { rest, paginate };
+}
+
+module.exports = {
+  createFixtureOctokit,
+  createRecordingOctokit
+};
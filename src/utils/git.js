@@ -1,37 +1,97 @@
 const exec = require('@actions/exec');
 const core = require('@actions/core');
+const github = require('@actions/github');
+const path = require('path');
+const semver = require('semver');
+const { globToRegExp } = require('./glob');
+const { describeCommit } = require('./commits');
+
+const COMMIT_FIELDS = ['%H', '%P', '%an', '%ae', '%ad', '%B'];
+const COMMIT_FORMAT = COMMIT_FIELDS.join('%x00');
 
 class GitUtils {
-  constructor(config) {
+  // `octokit` is only needed when tags and commits are created through the GitHub API
+  constructor(config, octokit = null) {
     this.config = config;
+    this.octokit = octokit;
+    this.context = github.context;
   }
 
-  async setupGitUser() {
-    await exec.exec('git', ['config', '--local', 'user.name', this.config.inputs.gitUserName]);
-    await exec.exec('git', ['config', '--local', 'user.email', this.config.inputs.gitUserEmail]);
+  get signingMethod() {
+    return this.config.inputs.signingMethod || 'none';
   }
 
-  async getLatestTag() {
-    let output = '';
+  // Objects created through the Git Data API are signed by GitHub instead of a local key
+  get usesApi() {
+    return this.signingMethod === 'api';
+  }
+
+  // Changelog commits go through the API when asked to, or when tags do
+  get commitsViaApi() {
+    return this.usesApi || this.config.inputs.changelogCommitMethod === 'api';
+  }
+
+  get signsLocally() {
+    return this.signingMethod === 'gpg' || this.signingMethod === 'ssh';
+  }
+
+  async execGit(args) {
+    let stdout = '';
+    let stderr = '';
     const options = {
       listeners: {
         stdout: (data) => {
-          output += data.toString();
+          stdout += data.toString();
+        },
+        stderr: (data) => {
+          stderr += data.toString();
         }
       },
       silent: true,
       ignoreReturnCode: true
     };
 
-    const exitCode = await exec.exec('git', ['describe', '--tags', '--abbrev=0'], options);
-    
-    if (exitCode === 0 && output.trim()) {
-      return output.trim();
+    const exitCode = await exec.exec('git', args, options);
+    return { exitCode, stdout: stdout.trim(), stderr: stderr.trim() };
+  }
+
+  async setupGitUser() {
+    await exec.exec('git', ['config', '--local', 'user.name', this.config.inputs.gitUserName]);
+    await exec.exec('git', ['config', '--local', 'user.email', this.config.inputs.gitUserEmail]);
+  }
+
+  // Highest semver tag with the given prefix, or null when nothing has been released yet.
+  // `ref` limits the search to tags reachable from it
+  async getLatestTag({ prefix = this.config.inputs.versionPrefix, ref = null } = {}) {
+    const args = ['tag', '--list'];
+    if (ref) {
+      args.push('--merged', ref);
+    }
+
+    const { exitCode, stdout, stderr } = await this.execGit(args);
+    if (exitCode !== 0) {
+      core.warning(`Failed to list tags: ${stderr}`);
+      return null;
     }
-    
-    return '1.0.0';
+
+    const tags = stdout.split('\n').map(tag => tag.trim()).filter(Boolean);
+    return this.selectLatestTag(tags, prefix);
   }
 
+  selectLatestTag(tags, prefix = '') {
+    const pattern = this.config.inputs.tagPattern ? globToRegExp(this.config.inputs.tagPattern) : null;
+
+    const candidates = tags
+      .filter(tag => tag.startsWith(prefix) && semver.valid(tag.substring(prefix.length)))
+      .filter(tag => !pattern || pattern.test(tag))
+      .filter(tag => this.config.inputs.includePrereleaseTags || !semver.prerelease(tag.substring(prefix.length)))
+      .sort((a, b) => semver.rcompare(a.substring(prefix.length), b.substring(prefix.length)));
+
+    return candidates[0] || null;
+  }
+
+  // Without a tag, i.e. before the first release, only the most recent commits are used.
+  // With one, an empty range stays empty: HEAD is already released
   async getCommitsSinceTag(tag) {
     let output = '';
     const options = {
@@ -44,11 +104,10 @@ class GitUtils {
     };
 
     try {
-      await exec.exec('git', ['log', '--pretty=format:%H|%s|%an|%ae|%ad', '--date=short', `${tag}..HEAD`], options);
-      
-      if (!output.trim()) {
-        // If no commits since tag, get recent commits
-        await exec.exec('git', ['log', '--pretty=format:%H|%s|%an|%ae|%ad', '--date=short', `-${this.config.inputs.maxCommitsFallback}`], options);
+      if (tag) {
+        await exec.exec('git', ['log', '-z', `--pretty=format:${COMMIT_FORMAT}`, '--date=short', `${tag}..HEAD`], options);
+      } else {
+        await exec.exec('git', ['log', '-z', `--pretty=format:${COMMIT_FORMAT}`, '--date=short', `-${this.config.inputs.maxCommitsFallback}`], options);
       }
       
       return this.parseCommits(output);
@@ -58,6 +117,65 @@ class GitUtils {
     }
   }
 
+  async getCommitsInRange(fromRef, toRef = 'HEAD') {
+    let output = '';
+    let errorOutput = '';
+    const options = {
+      listeners: {
+        stdout: (data) => {
+          output += data.toString();
+        },
+        stderr: (data) => {
+          errorOutput += data.toString();
+        }
+      },
+      silent: true,
+      ignoreReturnCode: true
+    };
+
+    const exitCode = await exec.exec('git', ['log', '-z', `--pretty=format:${COMMIT_FORMAT}`, '--date=short', `${fromRef}..${toRef}`], options);
+
+    if (exitCode !== 0) {
+      throw new Error(`Failed to get commits in range ${fromRef}..${toRef}: ${errorOutput.trim() || `git exited with ${exitCode}`}`);
+    }
+
+    return this.parseCommits(output);
+  }
+
+  // Full sha of the commit `ref` names, so a range end stays put while the release is made
+  async resolveCommit(ref) {
+    const { exitCode, stdout, stderr } = await this.execGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    if (exitCode !== 0 || !stdout) {
+      throw new Error(`Failed to resolve ${ref} to a commit: ${stderr || 'unknown revision'}`);
+    }
+    return stdout;
+  }
+
+  async getTagsPointingAt(ref) {
+    const { exitCode, stdout } = await this.execGit(['tag', '--points-at', ref]);
+    if (exitCode !== 0 || !stdout) return [];
+    return stdout.split('\n').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  async tagExists(tag) {
+    const { exitCode } = await this.execGit(['rev-parse', '-q', '--verify', `refs/tags/${tag}`]);
+    return exitCode === 0;
+  }
+
+  async remoteTagExists(tag) {
+    const { exitCode } = await this.execGit(['ls-remote', '--exit-code', '--tags', 'origin', `refs/tags/${tag}`]);
+    return exitCode === 0;
+  }
+
+  async remoteBranchExists(branch) {
+    if (this.commitsViaApi) {
+      return (await this.getBranchHeadViaApi(branch)) !== null;
+    }
+
+    const { exitCode } = await this.execGit(['ls-remote', '--exit-code', '--heads', 'origin', `refs/heads/${branch}`]);
+    return exitCode === 0;
+  }
+
   async getCurrentCommit() {
     let output = '';
     const options = {
@@ -88,26 +206,36 @@ class GitUtils {
     return output.trim();
   }
 
+  // Fields are NUL-separated and `-z` ends each commit with a NUL, neither can appear in a message
   parseCommits(output) {
     if (!output.trim()) return [];
-    
-    return output.trim().split('\n').map(line => {
-      const [hash, subject, author, email, date] = line.split('|');
-      return {
-        hash: hash?.trim(),
-        shortHash: hash?.trim().substring(0, 7),
-        subject: subject?.trim(),
-        author: author?.trim(),
-        email: email?.trim(),
-        date: date?.trim()
-      };
-    }).filter(commit => commit.hash);
+
+    const fields = output.split('\0');
+    const commits = [];
+
+    for (let index = 0; index + COMMIT_FIELDS.length <= fields.length; index += COMMIT_FIELDS.length) {
+      const [hash, parents, author, email, date, message] = fields.slice(index, index + COMMIT_FIELDS.length);
+      if (!hash.trim()) continue;
+
+      commits.push({
+        hash: hash.trim(),
+        shortHash: hash.trim().substring(0, 7),
+        ...describeCommit(message, parents.trim().split(' ').filter(Boolean)),
+        message: message.trim(),
+        author: author.trim(),
+        email: email.trim(),
+        date: date.trim()
+      });
+    }
+
+    return commits;
   }
 
-  async createTag(version, message) {
+  // Tags HEAD unless `commit` names the released commit
+  async createTag(version, message, commit = null) {
     try {
       await this.setupGitUser();
-      await exec.exec('git', ['tag', '-a', version, '-m', message]);
+      await exec.exec('git', ['tag', this.signsLocally ? '-s' : '-a', version, '-m', message, ...(commit ? [commit] : [])]);
       core.info(`Created tag: ${version}`);
       return true;
     } catch (error) {
@@ -127,7 +255,116 @@ class GitUtils {
     }
   }
 
-  async commitAndPush(files, commitMessage, branchName = null) {
+  // Only creates the remote tag if it does not exist yet, so concurrent releases cannot both claim it
+  async pushNewTag(tag) {
+    if (this.usesApi) {
+      return this.pushNewTagViaApi(tag);
+    }
+
+    const { exitCode, stderr } = await this.execGit(['push', `--force-with-lease=refs/tags/${tag}:`, 'origin', `refs/tags/${tag}`]);
+    if (exitCode === 0) {
+      core.info(`Pushed tag: ${tag}`);
+      return { pushed: true };
+    }
+
+    return {
+      pushed: false,
+      rejected: /\[rejected\]|stale info|already exists/.test(stderr),
+      reason: stderr || `git exited with ${exitCode}`
+    };
+  }
+
+  // Recreates the local tag on GitHub, creating the ref fails if the tag already exists there
+  async pushNewTagViaApi(tag) {
+    const { exitCode, stdout, stderr } = await this.execGit(['for-each-ref', '--format=%(*objectname)%00%(contents)', `refs/tags/${tag}`]);
+    if (exitCode !== 0 || !stdout) {
+      return { pushed: false, rejected: false, reason: stderr || `Local tag ${tag} not found` };
+    }
+
+    const [commitSha, message] = stdout.split('\0');
+
+    try {
+      const { data: tagObject } = await this.octokit.rest.git.createTag({
+        ...this.context.repo,
+        tag,
+        message: `${message.trim()}\n`,
+        object: commitSha,
+        type: 'commit',
+        tagger: { name: this.config.inputs.gitUserName, email: this.config.inputs.gitUserEmail, date: new Date().toISOString() }
+      });
+      await this.octokit.rest.git.createRef({ ...this.context.repo, ref: `refs/tags/${tag}`, sha: tagObject.sha });
+
+      core.info(`Created tag through the GitHub API: ${tag}`);
+      return { pushed: true };
+    } catch (error) {
+      return {
+        pushed: false,
+        rejected: error.status === 422 && /already exists/i.test(error.message),
+        reason: error.message
+      };
+    }
+  }
+
+  async fetchTags() {
+    const { exitCode, stderr } = await this.execGit(['fetch', '--force', '--tags', 'origin']);
+    if (exitCode !== 0) {
+      core.warning(`Failed to fetch tags: ${stderr}`);
+      return false;
+    }
+    return true;
+  }
+
+  async deleteTag(tag) {
+    const { exitCode, stderr } = await this.execGit(['tag', '-d', tag]);
+    if (exitCode !== 0) {
+      core.warning(`Failed to delete local tag ${tag}: ${stderr}`);
+      return false;
+    }
+    core.info(`Deleted local tag: ${tag}`);
+    return true;
+  }
+
+  async deleteRemoteTag(tag) {
+    if (this.usesApi) {
+      return this.deleteRefViaApi(`tags/${tag}`, `remote tag ${tag}`);
+    }
+
+    const { exitCode, stderr } = await this.execGit(['push', 'origin', '--delete', `refs/tags/${tag}`]);
+    if (exitCode !== 0) {
+      core.warning(`Failed to delete remote tag ${tag}: ${stderr}`);
+      return false;
+    }
+    core.info(`Deleted remote tag: ${tag}`);
+    return true;
+  }
+
+  async deleteRemoteBranch(branch) {
+    if (this.commitsViaApi) {
+      return this.deleteRefViaApi(`heads/${branch}`, `remote branch ${branch}`);
+    }
+
+    const { exitCode, stderr } = await this.execGit(['push', 'origin', '--delete', `refs/heads/${branch}`]);
+    if (exitCode !== 0) {
+      core.warning(`Failed to delete remote branch ${branch}: ${stderr}`);
+      return false;
+    }
+    core.info(`Deleted remote branch: ${branch}`);
+    return true;
+  }
+
+  async deleteRefViaApi(ref, label) {
+    try {
+      await this.octokit.rest.git.deleteRef({ ...this.context.repo, ref });
+      core.info(`Deleted ${label}`);
+      return true;
+    } catch (error) {
+      core.warning(`Failed to delete ${label}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // With `newBranch: false` the commit is pushed onto the existing `branchName` instead
+  async commitAndPush(files, commitMessage, branchName = null, { newBranch = true } = {}) {
     try {
       await this.setupGitUser();
       
@@ -153,16 +390,18 @@ class GitUtils {
       }
       
       // Create branch if specified
-      if (branchName) {
+      if (branchName && newBranch) {
         await exec.exec('git', ['checkout', '-b', branchName]);
       }
       
       // Commit
-      await exec.exec('git', ['commit', '-m', commitMessage]);
+      await exec.exec('git', ['commit', ...(this.signsLocally ? ['-S'] : []), '-m', commitMessage]);
       
       // Push
-      if (branchName) {
+      if (branchName && newBranch) {
         await exec.exec('git', ['push', 'origin', branchName]);
+      } else if (branchName) {
+        await exec.exec('git', ['push', 'origin', `HEAD:refs/heads/${branchName}`]);
       } else {
         await exec.exec('git', ['push']);
       }
@@ -174,6 +413,74 @@ class GitUtils {
       return false;
     }
   }
+
+  // Paths in the repository, the workspace is the repository root on a runner
+  toRepoPath(file) {
+    const root = process.env.GITHUB_WORKSPACE || process.cwd();
+    return path.relative(root, path.resolve(root, file)).split(path.sep).join('/');
+  }
+
+  // Content of a file at `ref` on GitHub, or null when it does not exist there
+  async readFileViaApi(file, ref) {
+    try {
+      const { data } = await this.octokit.rest.repos.getContent({ ...this.context.repo, path: this.toRepoPath(file), ref });
+
+      // Files over 1 MB come without their content
+      if (data.encoding === 'none') {
+        const { data: blob } = await this.octokit.rest.git.getBlob({ ...this.context.repo, file_sha: data.sha });
+        return Buffer.from(blob.content, blob.encoding).toString('utf8');
+      }
+
+      return Buffer.from(data.content, data.encoding).toString('utf8');
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async getBranchHeadViaApi(branch) {
+    try {
+      const { data } = await this.octokit.rest.git.getRef({ ...this.context.repo, ref: `heads/${branch}` });
+      return data.object.sha;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Commits `changes` ({ path, content }) on top of `parent` without touching the workspace.
+  // Commits without an author are attributed to the token's identity and signed by GitHub.
+  // An existing branch only moves forward, so a branch that moved past `parent` rejects the commit
+  async commitViaApi(changes, commitMessage, { parent, branch, createBranch = false }) {
+    const { data: parentCommit } = await this.octokit.rest.git.getCommit({ ...this.context.repo, commit_sha: parent });
+
+    const tree = [];
+    for (const change of changes) {
+      const { data: blob } = await this.octokit.rest.git.createBlob({
+        ...this.context.repo,
+        content: Buffer.from(change.content).toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: this.toRepoPath(change.path), mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const { data: newTree } = await this.octokit.rest.git.createTree({ ...this.context.repo, base_tree: parentCommit.tree.sha, tree });
+    const { data: commit } = await this.octokit.rest.git.createCommit({
+      ...this.context.repo,
+      message: commitMessage,
+      tree: newTree.sha,
+      parents: [parent]
+    });
+
+    if (createBranch) {
+      await this.octokit.rest.git.createRef({ ...this.context.repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+    } else {
+      await this.octokit.rest.git.updateRef({ ...this.context.repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+    }
+
+    core.info(`Committed ${commit.sha.substring(0, 7)} to ${branch} through the GitHub API`);
+    return { sha: commit.sha };
+  }
 }
 
 module.exports = GitUtils;
\ No newline at end of file
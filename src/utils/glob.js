@@ -0,0 +1,65 @@
+// Minimal gitignore-style globbing: `**` crosses directories, `*` and `?` do not,
+// `{a,b}` alternates, and a pattern without a slash matches the file name anywhere.
+function globToRegExp(pattern) {
+  let regex = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` also matches zero directories
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        regex += '\\{';
+      } else {
+        const options = pattern.substring(i + 1, end).split(',').map(option => globToRegExp(option).source.slice(1, -1));
+        regex += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+function matchesGlob(filePath, pattern) {
+  const normalized = filePath.replace(/^\.\//, '');
+  const trimmed = pattern.trim().replace(/^\.\//, '');
+
+  if (!trimmed) return false;
+
+  // A trailing slash means "everything in this directory"
+  const expanded = trimmed.endsWith('/') ? `${trimmed}**` : trimmed;
+
+  if (!expanded.includes('/')) {
+    return globToRegExp(expanded).test(normalized.split('/').pop());
+  }
+
+  return globToRegExp(expanded.replace(/^\//, '')).test(normalized);
+}
+
+function matchesAnyGlob(filePath, patterns) {
+  return (patterns || []).some(pattern => matchesGlob(filePath, pattern));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAnyGlob
+};
@@ -0,0 +1,76 @@
+// GitHub's closing keywords, `Fixes #12` or `closes: owner/repo#12`
+const CLOSING_KEYWORD = '(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\\s+';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `#12` for the current repository, `owner/repo#12` for others
+function formatIssueKey(owner, repo, number, context) {
+  const sameRepo = owner.toLowerCase() === context.owner.toLowerCase() && repo.toLowerCase() === context.repo.toLowerCase();
+  return sameRepo ? `#${number}` : `${owner}/${repo}#${number}`;
+}
+
+// Finds issue references in PR bodies and commit messages, in order of appearance.
+// A bare `#12` is only a link after a closing keyword, as squash merges end their subject
+// with the PR number. Cross-repo references, issue URLs and tracker keys count anywhere
+function findIssueReferences(text, { owner, repo, serverUrl = 'https://github.com', trackerKeys = [] }) {
+  const references = new Map();
+  const add = (reference, closing) => {
+    const existing = references.get(reference.key);
+    if (existing) {
+      existing.closing = existing.closing || closing;
+    } else {
+      references.set(reference.key, { ...reference, closing });
+    }
+  };
+
+  const url = `${escapeRegExp(serverUrl.replace(/\/+$/, ''))}/([\\w.-]+)/([\\w.-]+)/issues/(\\d+)`;
+  const shorthand = '(?<![\\w&/])(?:([\\w.-]+)\\/([\\w.-]+))?#(\\d+)\\b';
+  const pattern = new RegExp(`(\\b${CLOSING_KEYWORD})?(?:${url}|${shorthand})`, 'gi');
+
+  for (const match of (text || '').matchAll(pattern)) {
+    const closing = Boolean(match[1]);
+    const [refOwner, refRepo, number] = match[2] ? match.slice(2, 5) : match.slice(5, 8);
+
+    if (!refOwner && !closing) continue;
+
+    const issueOwner = refOwner || owner;
+    const issueRepo = refRepo || repo;
+    add({
+      key: formatIssueKey(issueOwner, issueRepo, number, { owner, repo }),
+      owner: issueOwner,
+      repo: issueRepo,
+      number: parseInt(number, 10),
+      tracker: null
+    }, closing);
+  }
+
+  if (trackerKeys.length > 0) {
+    // Keywords match in any case, the keys themselves only as configured
+    const trackerPattern = new RegExp(`(\\b${CLOSING_KEYWORD})?\\b(${trackerKeys.map(escapeRegExp).join('|')})-(\\d+)\\b`, 'gi');
+
+    for (const match of (text || '').matchAll(trackerPattern)) {
+      if (!trackerKeys.includes(match[2])) continue;
+      add({ key: `${match[2]}-${match[3]}`, owner: null, repo: null, number: parseInt(match[3], 10), tracker: match[2] }, Boolean(match[1]));
+    }
+  }
+
+  return Array.from(references.values());
+}
+
+// `[#12](url)`, or the bare key when the issue has no URL
+function formatIssueLink(issue) {
+  return issue.url ? `[${issue.key}](${issue.url})` : issue.key;
+}
+
+// A list entry such as `[#12](url) Login fails with SSO`
+function formatIssueLine(issue) {
+  return issue.title ? `${formatIssueLink(issue)} ${issue.title}` : formatIssueLink(issue);
+}
+
+module.exports = {
+  findIssueReferences,
+  formatIssueLink,
+  formatIssueLine
+};
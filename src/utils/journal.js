@@ -0,0 +1,67 @@
+const core = require('@actions/core');
+
+class ReleaseJournal {
+  constructor() {
+    this.entries = [];
+  }
+
+  // `undo` resolves to true/false, or to a publisher rollback result
+  record(step, description, undo = null) {
+    this.entries.push({ step, description, undo });
+    core.debug(`Journal: ${step} - ${description}`);
+  }
+
+  get isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  async rollback() {
+    const report = [];
+
+    // Undo in reverse so nothing is left pointing at something already removed
+    for (const entry of [...this.entries].reverse()) {
+      if (!entry.undo) {
+        report.push({ step: entry.step, description: entry.description, status: 'not undoable', reason: 'no compensation available' });
+        continue;
+      }
+
+      try {
+        const outcome = await entry.undo();
+        const isResult = typeof outcome === 'object' && outcome !== null;
+        const rolledBack = isResult ? outcome.rolledBack : Boolean(outcome);
+        const reason = isResult ? outcome.reason || null : null;
+
+        let status = rolledBack ? 'rolled back' : 'failed';
+        if (isResult && outcome.undoable === false) {
+          status = 'not undoable';
+        }
+
+        report.push({
+          step: entry.step,
+          description: entry.description,
+          status,
+          reason: rolledBack ? null : reason || 'compensation returned false'
+        });
+      } catch (error) {
+        report.push({ step: entry.step, description: entry.description, status: 'failed', reason: error.message });
+      }
+    }
+
+    this.entries = [];
+    return report;
+  }
+
+  static formatReport(report) {
+    if (report.length === 0) {
+      return 'Nothing to roll back';
+    }
+
+    const icons = { 'rolled back': '↩️', failed: '❌', 'not undoable': '⚠️' };
+
+    return report
+      .map(item => `${icons[item.status] || '•'} ${item.step}: ${item.description} - ${item.status}${item.reason ? ` (${item.reason})` : ''}`)
+      .join('\n');
+  }
+}
+
+module.exports = ReleaseJournal;
@@ -0,0 +1,23 @@
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns the trimmed text between two marker lines, or '' when either is missing
+function extractMarkedSection(text, startMarker, endMarker) {
+  if (!text) return '';
+
+  const pattern = new RegExp(`${escapeRegExp(startMarker)}\\s*\\n([\\s\\S]*?)\\n\\s*${escapeRegExp(endMarker)}`);
+  const match = text.match(pattern);
+
+  return match ? match[1].trim() : '';
+}
+
+// GitHub stores text edited in the browser with CRLF line endings
+function normalizeLineEndings(text) {
+  return (text || '').replace(/\r\n/g, '\n');
+}
+
+module.exports = {
+  extractMarkedSection,
+  normalizeLineEndings
+};
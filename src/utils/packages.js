@@ -0,0 +1,108 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+class PackageResolver {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async discoverPackages(rootDir = process.cwd()) {
+    const packages = new Map();
+
+    for (const pattern of this.config.inputs.packages || []) {
+      const directories = await this.expandPattern(rootDir, pattern);
+
+      directories.forEach(directory => {
+        const name = path.basename(directory);
+        if (packages.has(name) && packages.get(name).path !== directory) {
+          core.warning(`Package name ${name} is used by both ${packages.get(name).path} and ${directory}, keeping the first`);
+          return;
+        }
+        packages.set(name, { name, path: directory });
+      });
+    }
+
+    const discovered = Array.from(packages.values()).sort((a, b) => a.name.localeCompare(b.name));
+    core.info(`Discovered ${discovered.length} package(s): ${discovered.map(pkg => pkg.path).join(', ') || 'none'}`);
+
+    return discovered;
+  }
+
+  // Walks the pattern one segment at a time so `packages/*` and `apps/*/service` both work
+  async expandPattern(rootDir, pattern) {
+    const segments = pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    let candidates = [''];
+
+    for (const segment of segments) {
+      const next = [];
+
+      for (const candidate of candidates) {
+        if (!/[*?{]/.test(segment)) {
+          const directory = path.posix.join(candidate, segment);
+          if (await this.isDirectory(path.join(rootDir, directory))) {
+            next.push(directory);
+          }
+          continue;
+        }
+
+        const matcher = globToRegExp(segment);
+        const entries = await this.readDirectories(path.join(rootDir, candidate));
+        entries
+          .filter(entry => !entry.startsWith('.') && matcher.test(entry))
+          .forEach(entry => next.push(path.posix.join(candidate, entry)));
+      }
+
+      candidates = next;
+    }
+
+    return candidates.filter(Boolean);
+  }
+
+  async readDirectories(directory) {
+    try {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      core.debug(`Failed to read ${directory}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async isDirectory(directory) {
+    try {
+      const stats = await fs.promises.stat(directory);
+      return stats.isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  mapFilesToPackages(files, packages) {
+    const packageFiles = new Map();
+
+    for (const file of files || []) {
+      // The most specific package wins for nested package paths
+      const owner = packages
+        .filter(pkg => file.startsWith(`${pkg.path}/`))
+        .sort((a, b) => b.path.length - a.path.length)[0];
+
+      if (!owner) {
+        core.debug(`File ${file} does not belong to any package`);
+        continue;
+      }
+
+      if (!packageFiles.has(owner.name)) {
+        packageFiles.set(owner.name, []);
+      }
+      packageFiles.get(owner.name).push(file);
+    }
+
+    return packages
+      .filter(pkg => packageFiles.has(pkg.name))
+      .map(pkg => ({ ...pkg, files: packageFiles.get(pkg.name) }));
+  }
+}
+
+module.exports = PackageResolver;
@@ -0,0 +1,50 @@
+const { matchesAnyGlob } = require('./glob');
+
+// Files listed per section, the rest are summarized
+const MAX_LISTED_FILES = 10;
+
+// Sorts changed files into the categories of `path_rules`, in rule order. A file belongs to the
+// first rule whose globs match it, and only categories with matching files are returned
+function classifyFiles(filesChanged, rules = []) {
+  const categories = new Map();
+
+  (filesChanged || []).forEach(file => {
+    const rule = rules.find(candidate => matchesAnyGlob(file, candidate.paths));
+    if (!rule) return;
+
+    if (!categories.has(rule.category)) {
+      categories.set(rule.category, { category: rule.category, visibility: rule.visibility || 'public', files: [] });
+    }
+    categories.get(rule.category).files.push(file);
+  });
+
+  const order = Array.from(new Set(rules.map(rule => rule.category)));
+  return order.filter(category => categories.has(category)).map(category => categories.get(category));
+}
+
+// `src/api/users.js (modified, +10 −2)` list entries, with the details `analysis.files` has for the file
+function formatFileChanges(filenames, files = []) {
+  // A rename is listed under its new name only, when both names fall in the section
+  const listed = filenames.filter(filename =>
+    !files.some(file => file.previousFilename === filename && filenames.includes(file.filename))
+  );
+
+  const lines = listed.slice(0, MAX_LISTED_FILES).map(filename => {
+    const file = files.find(candidate => candidate.filename === filename);
+    if (!file) return `\`${filename}\``;
+
+    const status = file.previousFilename ? `renamed from \`${file.previousFilename}\`` : file.status;
+    return `\`${filename}\` (${status}, +${file.additions} −${file.deletions})`;
+  });
+
+  if (listed.length > MAX_LISTED_FILES) {
+    lines.push(`and ${listed.length - MAX_LISTED_FILES} more`);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  classifyFiles,
+  formatFileChanges
+};
@@ -2,12 +2,32 @@ const github = require('@actions/github');
 const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
+const { normalizeLineEndings } = require('./markers');
+const { describeCommit, getTrailerValues, parseConventionalCommit } = require('./commits');
+const { findIssueReferences } = require('./issues');
+const { collectContributors } = require('./contributors');
+const { classifyFiles } = require('./path-rules');
+const { parseDependencyChanges } = require('./dependencies');
+
+// Most commits and files GitHub lists for a single pull request
+const MAX_PR_COMMITS = 250;
+const MAX_PR_FILES = 3000;
+const NO_DIFF = 'No diff available';
+
+// Linked GitHub issues looked up per release, the rest are listed without title and labels
+const MAX_LINKED_ISSUES = 50;
+
+// Contributors checked for earlier merged PRs, the search API allows 30 requests a minute
+const MAX_FIRST_TIME_LOOKUPS = 20;
 
 class PRAnalyzer {
-  constructor(config, token) {
+  // A prebuilt client can be passed in, e.g. the CLI's recorded fixtures. Analysis files are
+  // written to `scratchDir`, the workspace on a runner
+  constructor(config, token, octokit = null, scratchDir = process.cwd()) {
     this.config = config;
-    this.octokit = github.getOctokit(token);
+    this.octokit = octokit || github.getOctokit(token);
     this.context = github.context;
+    this.scratchDir = scratchDir;
   }
 
   async analyzePR() {
@@ -29,11 +49,14 @@ class PRAnalyzer {
       // Get PR diff
       const diff = await this.getPRDiff(prNumber);
       
-      // Get PR commits
+      // Get PR commits and changed files, the file list still works when the diff is too large
       const commits = await this.getPRCommits(prNumber);
+      const files = await this.getPRFiles(prNumber);
       
       // Analyze changes
-      const analysis = this.analyzeChanges(pr, diff, commits);
+      const analysis = this.analyzeChanges(pr, diff, commits, files);
+      analysis.linkedIssues = await this.getLinkedIssues(pr, commits);
+      analysis.contributors = await this.getContributors([pr], commits);
       
       // Save analysis files for AI processing
       await this.saveAnalysisFiles(pr, diff, commits, analysis);
@@ -43,7 +66,8 @@ class PRAnalyzer {
         diff,
         commits,
         analysis,
-        number: prNumber
+        number: prNumber,
+        pullRequests: [pr]
       };
     } catch (error) {
       core.error(`Failed to analyze PR: ${error.message}`);
@@ -51,6 +75,214 @@ class PRAnalyzer {
     }
   }
 
+  async analyzePush(gitUtils) {
+    try {
+      const latestTag = await gitUtils.getLatestTag();
+      core.info(latestTag ? `Analyzing commits pushed since ${latestTag}` : 'No previous release, analyzing the most recent commits');
+
+      const gitCommits = await gitUtils.getCommitsSinceTag(latestTag);
+
+      return await this.analyzeCommitRange(gitCommits, latestTag, this.context.sha);
+    } catch (error) {
+      core.error(`Failed to analyze push: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async analyzeRange(gitUtils, fromRef, toRef) {
+    try {
+      const from = fromRef || await gitUtils.getLatestTag();
+      if (!from) {
+        throw new Error('No previous release to start the range from, set from_ref');
+      }
+
+      const to = toRef ? await gitUtils.resolveCommit(toRef) : this.context.sha;
+      core.info(`Analyzing commit range ${from}..${toRef || to}`);
+
+      const gitCommits = await gitUtils.getCommitsInRange(from, to);
+
+      return await this.analyzeCommitRange(gitCommits, from, to);
+    } catch (error) {
+      core.error(`Failed to analyze range: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // `toRef` is the sha of the released commit, the tag and the release point at it
+  async analyzeCommitRange(gitCommits, fromRef, toRef) {
+    const accounts = await this.getCommitAccounts(gitCommits, fromRef, toRef);
+    const commits = gitCommits.map(commit => this.toPRCommit(commit, accounts.get(commit.hash)));
+
+    // Resolve the merged PRs that brought these commits in
+    const pullRequests = await this.getAssociatedPRs(commits);
+    core.info(`Found ${pullRequests.length} merged PR(s) across ${commits.length} commit(s)`);
+
+    const pr = this.buildAggregatePR(pullRequests);
+    const diff = await this.getCompareDiff(fromRef, toRef);
+    const analysis = this.analyzeChanges(pr, diff, commits);
+    analysis.linkedIssues = await this.getLinkedIssues(pr, commits);
+    analysis.contributors = await this.getContributors(pullRequests, commits);
+
+    await this.saveAnalysisFiles(pr, diff, commits, analysis);
+
+    return {
+      pr,
+      diff,
+      commits,
+      analysis,
+      number: pullRequests.length === 1 ? pullRequests[0].number : null,
+      pullRequests,
+      targetSha: toRef
+    };
+  }
+
+  // `account` is the GitHub user GitHub matched to the commit email, if any
+  toPRCommit(gitCommit, account = null) {
+    const repoUrl = `${this.context.serverUrl}/${this.context.repo.owner}/${this.context.repo.repo}`;
+
+    return {
+      sha: gitCommit.hash,
+      shortSha: gitCommit.shortHash,
+      message: gitCommit.message,
+      subject: gitCommit.subject,
+      body: gitCommit.body,
+      trailers: gitCommit.trailers,
+      parents: gitCommit.parents,
+      isMerge: gitCommit.isMerge,
+      isRevert: gitCommit.isRevert,
+      author: gitCommit.author,
+      email: gitCommit.email,
+      login: account?.login || null,
+      authorType: account?.type || null,
+      date: gitCommit.date,
+      url: `${repoUrl}/commit/${gitCommit.hash}`
+    };
+  }
+
+  // The GitHub accounts behind commits read from git, by sha. Git only knows names and emails,
+  // so contributors are matched through the commits GitHub lists for the same range
+  async getCommitAccounts(gitCommits, fromRef, toRef) {
+    const accounts = new Map();
+    if (gitCommits.length === 0) return accounts;
+
+    const repo = { owner: this.context.repo.owner, repo: this.context.repo.repo };
+    const collect = commits => commits.forEach(commit => accounts.set(commit.sha, commit.author));
+
+    try {
+      if (fromRef) {
+        for (let page = 1; accounts.size < gitCommits.length; page++) {
+          const { data } = await this.octokit.rest.repos.compareCommitsWithBasehead({ ...repo, basehead: `${fromRef}...${toRef}`, per_page: 100, page });
+          collect(data.commits || []);
+          if ((data.commits || []).length < 100) break;
+        }
+      } else {
+        // Before the first release the commits are the most recent ones
+        const { data } = await this.octokit.rest.repos.listCommits({ ...repo, sha: toRef, per_page: Math.min(gitCommits.length, 100) });
+        collect(data);
+      }
+    } catch (error) {
+      core.warning(`Failed to get the GitHub accounts of commit authors: ${error.message}`);
+    }
+
+    return accounts;
+  }
+
+  // The files each commit touched, by sha, to tell which monorepo packages it belongs to.
+  // Merges are left out, their changes arrive with the commits they bring in
+  async getCommitFiles(commits) {
+    const commitFiles = new Map();
+
+    for (const commit of commits || []) {
+      if (commit.isMerge) continue;
+
+      try {
+        const { data } = await this.octokit.rest.repos.getCommit({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          ref: commit.sha
+        });
+
+        commitFiles.set(commit.sha, (data.files || []).flatMap(file =>
+          file.previous_filename ? [file.filename, file.previous_filename] : [file.filename]
+        ));
+      } catch (error) {
+        core.warning(`Failed to get files of commit ${commit.shortSha}: ${error.message}`);
+      }
+    }
+
+    return commitFiles;
+  }
+
+  async getAssociatedPRs(commits) {
+    const pullRequests = new Map();
+
+    for (const commit of commits) {
+      try {
+        const { data: prs } = await this.octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+          owner: this.context.repo.owner,
+          repo: this.context.repo.repo,
+          commit_sha: commit.sha
+        });
+
+        prs
+          .filter(pr => pr.merged_at && !pullRequests.has(pr.number))
+          .forEach(pr => pullRequests.set(pr.number, pr));
+      } catch (error) {
+        core.warning(`Failed to get PRs for commit ${commit.shortSha}: ${error.message}`);
+      }
+    }
+
+    return Array.from(pullRequests.values()).sort((a, b) => a.number - b.number);
+  }
+
+  buildAggregatePR(pullRequests) {
+    if (pullRequests.length === 1) {
+      return pullRequests[0];
+    }
+
+    const branch = (this.context.ref || '').replace('refs/heads/', '') || 'unknown';
+    const labels = new Map();
+    pullRequests.forEach(pr => (pr.labels || []).forEach(label => labels.set(label.name, label)));
+
+    return {
+      title: pullRequests.length > 0
+        ? `Changes from ${pullRequests.length} pull requests`
+        : `Changes pushed to ${branch}`,
+      body: pullRequests
+        .map(pr => `#${pr.number} ${pr.title} (@${pr.user?.login || 'unknown'})\n${pr.body || ''}`.trim())
+        .join('\n\n'),
+      labels: Array.from(labels.values()),
+      base: { ref: branch },
+      head: { ref: branch },
+      user: { login: this.context.payload.pusher?.name || this.context.actor || 'unknown' },
+      created_at: null,
+      merged_at: null,
+      aggregate: true
+    };
+  }
+
+  async getCompareDiff(fromRef, toRef) {
+    if (!fromRef) {
+      return NO_DIFF;
+    }
+
+    try {
+      const { data: diff } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        basehead: `${fromRef}...${toRef}`,
+        mediaType: {
+          format: 'diff'
+        }
+      });
+
+      return diff;
+    } catch (error) {
+      core.warning(`Failed to get diff for ${fromRef}...${toRef}: ${error.message}`);
+      return NO_DIFF;
+    }
+  }
+
   async getPRDiff(prNumber) {
     try {
       const { data: diff } = await this.octokit.rest.pulls.get({
@@ -65,24 +297,33 @@ class PRAnalyzer {
       return diff;
     } catch (error) {
       core.warning(`Failed to get PR diff: ${error.message}`);
-      return 'No diff available';
+      return NO_DIFF;
     }
   }
 
   async getPRCommits(prNumber) {
     try {
-      const { data: commits } = await this.octokit.rest.pulls.listCommits({
+      const commits = await this.octokit.paginate(this.octokit.rest.pulls.listCommits, {
         owner: this.context.repo.owner,
         repo: this.context.repo.repo,
-        pull_number: prNumber
+        pull_number: prNumber,
+        per_page: 100
       });
 
+      if (commits.length >= MAX_PR_COMMITS) {
+        core.warning(`GitHub lists at most ${MAX_PR_COMMITS} commits of a pull request, later commits are not analyzed`);
+      }
+
       return commits.map(commit => ({
         sha: commit.sha,
         shortSha: commit.sha.substring(0, 7),
         message: commit.commit.message,
+        ...describeCommit(commit.commit.message, (commit.parents || []).map(parent => parent.sha)),
         author: commit.commit.author.name,
         email: commit.commit.author.email,
+        // The GitHub account behind the commit email, when there is one
+        login: commit.author?.login || null,
+        authorType: commit.author?.type || null,
         date: commit.commit.author.date,
         url: commit.html_url
       }));
@@ -92,7 +333,71 @@ class PRAnalyzer {
     }
   }
 
-  analyzeChanges(pr, diff, commits = []) {
+  // Per-file status and line counts, or null when they cannot be listed and the diff has to do
+  async getPRFiles(prNumber) {
+    try {
+      const files = await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: prNumber,
+        per_page: 100
+      });
+
+      if (files.length >= MAX_PR_FILES) {
+        core.warning(`GitHub lists at most ${MAX_PR_FILES} files of a pull request, later files are not analyzed`);
+      }
+
+      return files.map(file => ({
+        filename: file.filename,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        previousFilename: file.previous_filename || null
+      }));
+    } catch (error) {
+      core.warning(`Failed to list PR files: ${error.message}`);
+      return null;
+    }
+  }
+
+  // The same file list read from a unified diff, for commit ranges and as a fallback
+  parseDiffFiles(diff) {
+    if (!diff || typeof diff !== 'string' || diff === NO_DIFF) {
+      return [];
+    }
+
+    const files = [];
+    let current = null;
+
+    diff.split('\n').forEach(line => {
+      const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (header) {
+        current = { filename: header[2], status: 'modified', additions: 0, deletions: 0, previousFilename: null };
+        files.push(current);
+        if (header[1] !== header[2]) {
+          current.status = 'renamed';
+          current.previousFilename = header[1];
+        }
+        return;
+      }
+
+      if (!current) return;
+
+      if (line.startsWith('new file mode')) {
+        current.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        current.status = 'removed';
+      } else if (line.startsWith('+') && !line.startsWith('+++ ')) {
+        current.additions++;
+      } else if (line.startsWith('-') && !line.startsWith('--- ')) {
+        current.deletions++;
+      }
+    });
+
+    return files;
+  }
+
+  analyzeChanges(pr, diff, commits = [], files = null) {
     const analysis = {
       title: pr.title,
       body: pr.body || '',
@@ -102,41 +407,110 @@ class PRAnalyzer {
       author: pr.user?.login || 'unknown',
       createdAt: pr.created_at,
       mergedAt: pr.merged_at,
+      // A combined body holds several PRs' sections, so only single PRs can override the notes
+      authorReleaseNotes: pr.aggregate ? null : this.extractReleaseNotesSection(pr.body),
       filesChanged: [],
+      files: [],
+      linkedIssues: [],
+      contributors: [],
+      pathCategories: [],
+      dependencies: []
+    };
+
+    // Commits and labels say what kind of change this is
+    Object.assign(analysis, this.classifyChanges(commits, analysis.labels));
+
+    // Files come from the API when listed, otherwise from the diff. A renamed file counts under both names
+    analysis.diffAvailable = typeof diff === 'string' && diff.length > 0 && diff !== NO_DIFF;
+    analysis.files = files || this.parseDiffFiles(diff);
+    analysis.filesChanged = Array.from(new Set(analysis.files.flatMap(file =>
+      file.previousFilename ? [file.filename, file.previousFilename] : [file.filename]
+    )));
+
+    if (!analysis.diffAvailable && files) {
+      core.info(`Diff not available, analyzing the list of ${files.length} changed file(s) instead`);
+    }
+
+    // Path rules classify changes whose commits and labels say nothing about them
+    analysis.pathCategories = classifyFiles(analysis.filesChanged, this.config.inputs.pathRules || []);
+    analysis.pathCategories.forEach(({ category }) => analysis.changeTypes.add(category.toLowerCase()));
+
+    const classified = analysis.pathCategories.reduce((count, category) => count + category.files.length, 0);
+    analysis.isInternalOnly = classified > 0 && classified === analysis.filesChanged.length &&
+      analysis.pathCategories.every(category => category.visibility === 'internal');
+
+    // Dependency bumps are read from the manifest and lockfile hunks of the diff
+    analysis.dependencies = analysis.diffAvailable ? parseDependencyChanges(diff) : [];
+    if (analysis.dependencies.length > 0) {
+      analysis.changeTypes.add('dependencies');
+    }
+
+    analysis.changeTypes = Array.from(analysis.changeTypes);
+    
+    return analysis;
+  }
+
+  // The change types of a set of commits and labels, also used for a package's share of the commits
+  classifyChanges(commits, labels) {
+    const analysis = {
       changeTypes: new Set(),
+      breakingNotes: [],
       isBreakingChange: false,
       isBugfix: false,
       isFeature: false,
       isChore: false
     };
+    const scopes = new Set();
 
     // Analyze commit messages for conventional commits
     (commits || []).forEach(commit => {
-      const message = commit.message.toLowerCase();
-      
-      if (message.includes('breaking change') || message.includes('!:')) {
+      // A merge only brings in commits that are analyzed on their own
+      if (commit.isMerge) return;
+
+      // A revert undoes its change, so the reverted subject must not count as a new one
+      if (commit.isRevert) {
+        analysis.changeTypes.add('revert');
+        return;
+      }
+
+      const subject = commit.subject || commit.message.split('\n')[0];
+      const conventional = parseConventionalCommit(subject, commit.trailers, this.config.inputs.commitTypes);
+      commit.conventional = conventional;
+
+      // A `BREAKING CHANGE:` footer counts even when the header is not conventional
+      const breakingNotes = conventional ? conventional.breakingNotes : getTrailerValues(commit.trailers, 'BREAKING CHANGE');
+      if ((conventional && conventional.breaking) || breakingNotes.length > 0) {
         analysis.isBreakingChange = true;
         analysis.changeTypes.add('breaking');
+        analysis.breakingNotes.push(...breakingNotes);
+      }
+
+      if (!conventional) return;
+
+      if (conventional.scope) {
+        scopes.add(conventional.scope);
       }
       
-      if (message.startsWith('feat')) {
+      if (conventional.type === 'feat') {
         analysis.isFeature = true;
         analysis.changeTypes.add('feature');
       }
       
-      if (message.startsWith('fix')) {
+      if (conventional.type === 'fix') {
         analysis.isBugfix = true;
         analysis.changeTypes.add('bugfix');
       }
       
-      if (message.startsWith('chore') || message.startsWith('ci') || message.startsWith('docs')) {
+      if (['chore', 'ci', 'docs'].includes(conventional.type)) {
         analysis.isChore = true;
         analysis.changeTypes.add('chore');
       }
     });
 
+    analysis.scopes = Array.from(scopes);
+
     // Analyze labels
-    analysis.labels.forEach(label => {
+    (labels || []).forEach(label => {
       const lowerLabel = label.toLowerCase();
       
       if (lowerLabel.includes('breaking')) {
@@ -155,27 +529,136 @@ class PRAnalyzer {
       }
     });
 
-    // Analyze diff for file changes
-    if (diff && typeof diff === 'string') {
-      const diffLines = diff.split('\n');
-      let currentFile = null;
-      
-      diffLines.forEach(line => {
-        if (line.startsWith('diff --git')) {
-          const match = line.match(/diff --git a\/(.+) b\/(.+)/);
-          if (match) {
-            currentFile = match[2];
-            if (!analysis.filesChanged.includes(currentFile)) {
-              analysis.filesChanged.push(currentFile);
-            }
-          }
-        }
+    return analysis;
+  }
+
+  // Issues referenced by the PR and its commits, with title, labels and state for those on GitHub
+  async getLinkedIssues(pr, commits = []) {
+    const texts = [pr.title, pr.body, ...(commits || []).map(commit => commit.message)];
+    const references = findIssueReferences(texts.filter(Boolean).join('\n\n'), {
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      serverUrl: this.context.serverUrl,
+      trackerKeys: this.config.inputs.issueTrackerKeys || []
+    });
+
+    const githubReferences = references.filter(reference => !reference.tracker);
+    if (githubReferences.length > MAX_LINKED_ISSUES) {
+      core.warning(`Found ${githubReferences.length} linked issues, only the first ${MAX_LINKED_ISSUES} are looked up`);
+    }
+
+    const linkedIssues = [];
+    for (const reference of references) {
+      if (reference.tracker) {
+        linkedIssues.push(this.toTrackerIssue(reference));
+      } else {
+        const lookup = githubReferences.indexOf(reference) < MAX_LINKED_ISSUES;
+        linkedIssues.push(await this.resolveGitHubIssue(reference, lookup));
+      }
+    }
+
+    if (linkedIssues.length > 0) {
+      core.info(`Linked issues: ${linkedIssues.map(issue => issue.key).join(', ')}`);
+    }
+
+    return linkedIssues;
+  }
+
+  async resolveGitHubIssue(reference, lookup = true) {
+    const issue = {
+      ...reference,
+      title: null,
+      labels: [],
+      state: null,
+      url: `${this.context.serverUrl}/${reference.owner}/${reference.repo}/issues/${reference.number}`
+    };
+
+    if (!lookup) return issue;
+
+    try {
+      const { data } = await this.octokit.rest.issues.get({
+        owner: reference.owner,
+        repo: reference.repo,
+        issue_number: reference.number
       });
+
+      return {
+        ...issue,
+        title: data.title,
+        labels: (data.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+        state: data.state,
+        url: data.html_url || issue.url,
+        isPullRequest: Boolean(data.pull_request)
+      };
+    } catch (error) {
+      // Private repositories of other owners are out of the token's reach
+      core.warning(`Failed to get linked issue ${reference.key}: ${error.message}`);
+      return issue;
     }
+  }
 
-    analysis.changeTypes = Array.from(analysis.changeTypes);
-    
-    return analysis;
+  // `issue_tracker_url` is a template such as https://example.atlassian.net/browse/{key}
+  toTrackerIssue(reference) {
+    const urlTemplate = this.config.inputs.issueTrackerUrl;
+
+    return {
+      ...reference,
+      title: null,
+      labels: [],
+      state: null,
+      url: urlTemplate ? urlTemplate.replace(/\{key\}/g, reference.key) : null
+    };
+  }
+
+  // Human contributors of the release. PR authors whose only merged PRs are in this release are first-time contributors
+  async getContributors(pullRequests = [], commits = []) {
+    const contributors = collectContributors(pullRequests, commits);
+    const authors = contributors.filter(contributor => contributor.pullRequests.length > 0);
+
+    if (authors.length > MAX_FIRST_TIME_LOOKUPS) {
+      core.warning(`Found ${authors.length} PR authors, only the first ${MAX_FIRST_TIME_LOOKUPS} are checked for a first contribution`);
+    }
+
+    for (const contributor of contributors) {
+      const lookup = authors.indexOf(contributor);
+      contributor.firstTime = lookup !== -1 && lookup < MAX_FIRST_TIME_LOOKUPS
+        ? await this.isFirstTimeContributor(contributor)
+        : false;
+    }
+
+    const firstTimers = contributors.filter(contributor => contributor.firstTime);
+    if (contributors.length > 0) {
+      core.info(`Contributors: ${contributors.map(contributor => contributor.login || contributor.name).join(', ')}${firstTimers.length > 0 ? ` (${firstTimers.length} first-time)` : ''}`);
+    }
+
+    return contributors;
+  }
+
+  async isFirstTimeContributor(contributor) {
+    try {
+      const { data } = await this.octokit.rest.search.issuesAndPullRequests({
+        q: `repo:${this.context.repo.owner}/${this.context.repo.repo} is:pr is:merged author:${contributor.login}`,
+        per_page: 1
+      });
+
+      // A just merged PR may not be indexed yet, so the count can fall short of the release's own PRs
+      return data.total_count <= contributor.pullRequests.length;
+    } catch (error) {
+      core.warning(`Failed to check earlier contributions of ${contributor.login}: ${error.message}`);
+      return false;
+    }
+  }
+
+  extractReleaseNotesSection(body) {
+    if (!body) return null;
+
+    // Everything under a "## Release notes" heading up to the next heading of the same or higher level
+    const match = normalizeLineEndings(body).match(/^##\s+Release notes\s*$([\s\S]*?)(?=^#{1,2}\s|(?![\s\S]))/im);
+    if (!match) return null;
+
+    // PR templates usually leave an HTML comment placeholder in the section
+    const notes = match[1].replace(/<!--[\s\S]*?-->/g, '').trim();
+    return notes || null;
   }
 
   async saveAnalysisFiles(pr, diff, commits = [], analysis) {
@@ -190,14 +673,14 @@ class PRAnalyzer {
       };
       
       await fs.promises.writeFile(
-        path.join(process.cwd(), 'pr_details.json'),
+        path.join(this.scratchDir, 'pr_details.json'),
         JSON.stringify(prDetails, null, 2)
       );
       
       // Save diff content
       await fs.promises.writeFile(
-        path.join(process.cwd(), 'pr_diff.txt'),
-        typeof diff === 'string' ? diff : 'No diff available'
+        path.join(this.scratchDir, 'pr_diff.txt'),
+        typeof diff === 'string' ? diff : NO_DIFF
       );
       
       core.info('Saved PR analysis files for AI processing');
@@ -207,19 +690,30 @@ class PRAnalyzer {
   }
 
   getSuggestedVersionIncrement(analysis) {
-    if (this.config.inputs.versionStrategy !== 'auto') {
-      return this.config.inputs.versionStrategy;
+    return this.explainVersionIncrement(analysis).increment;
+  }
+
+  // The increment plus a human readable reason, for logs and the job summary
+  explainVersionIncrement(analysis) {
+    const strategy = this.config.inputs.versionStrategy;
+    
+    if (strategy !== 'auto') {
+      return { increment: strategy, strategy, reason: `Fixed version_strategy: ${strategy}` };
     }
     
     if (analysis.isBreakingChange) {
-      return 'major';
+      return { increment: 'major', strategy, reason: 'Breaking change detected' };
     }
     
     if (analysis.isFeature) {
-      return 'minor';
+      return { increment: 'minor', strategy, reason: 'New feature detected' };
     }
     
-    return 'patch';
+    return {
+      increment: 'patch',
+      strategy,
+      reason: analysis.isBugfix ? 'Bug fix detected' : 'No breaking changes or features detected'
+    };
   }
 }
 
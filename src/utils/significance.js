@@ -0,0 +1,73 @@
+const core = require('@actions/core');
+const { matchesAnyGlob } = require('./glob');
+const { parseConventionalCommit } = require('./commits');
+
+class SignificanceEvaluator {
+  constructor(config) {
+    this.config = config;
+  }
+
+  evaluate(prAnalysis) {
+    const analysis = prAnalysis.analysis;
+    const ignorePaths = this.config.inputs.significanceIgnorePaths || [];
+    const ignoreTypes = this.config.inputs.significanceIgnoreTypes || [];
+
+    // Breaking changes always warrant a release
+    if (analysis.isBreakingChange) {
+      return { significant: true, reason: 'Contains breaking changes' };
+    }
+
+    const files = analysis.filesChanged || [];
+    const significantFiles = files.filter(file => !matchesAnyGlob(file, ignorePaths));
+
+    if (files.length > 0 && significantFiles.length === 0) {
+      return {
+        significant: false,
+        reason: `Only ignored paths changed (${ignorePaths.join(', ')})`,
+        significantFiles
+      };
+    }
+
+    const commitTypes = this.getCommitTypes(prAnalysis);
+    const onlyIgnoredTypes = commitTypes.length > 0 && commitTypes.every(type => type && ignoreTypes.includes(type));
+
+    if (onlyIgnoredTypes && !analysis.isFeature && !analysis.isBugfix) {
+      const types = Array.from(new Set(commitTypes)).join(', ');
+      return {
+        significant: false,
+        reason: `Only ${types} changes landed`,
+        significantFiles
+      };
+    }
+
+    core.debug(`Significant files: ${significantFiles.join(', ') || 'unknown'}`);
+    return { significant: true, reason: 'Significant changes detected', significantFiles };
+  }
+
+  // Merges only bring in commits that are typed on their own. A revert weighs as much as the
+  // change it undoes, `Revert "chore: bump"` is a chore
+  getCommitTypes(prAnalysis) {
+    const messages = (prAnalysis.commits || [])
+      .filter(commit => !commit.isMerge)
+      .map(commit => (commit.isRevert ? this.getRevertedSubject(commit.message || '') : commit.message || ''));
+
+    // Squash merges may only carry the type in the PR title
+    if (messages.length === 0 && prAnalysis.analysis.title) {
+      messages.push(prAnalysis.analysis.title);
+    }
+
+    return messages.map(message => this.getCommitType(message));
+  }
+
+  getRevertedSubject(message) {
+    const match = message.match(/^revert:?\s*"(.+)"\s*$/im);
+    return match ? match[1] : '';
+  }
+
+  getCommitType(message) {
+    const conventional = parseConventionalCommit(message.split('\n')[0], [], this.config.inputs.commitTypes);
+    return conventional ? conventional.type : null;
+  }
+}
+
+module.exports = SignificanceEvaluator;
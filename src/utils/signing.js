@@ -0,0 +1,169 @@
+const exec = require('@actions/exec');
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SIGNING_CONFIG_KEYS = ['gpg.format', 'user.signingkey'];
+
+// Imports the signing key into a throwaway GnuPG home or key file for the duration of the run
+class SigningKeyring {
+  constructor(config) {
+    this.config = config;
+    this.directory = null;
+    this.previousGnupgHome = undefined;
+    this.previousConfig = new Map();
+  }
+
+  get method() {
+    return this.config.inputs.signingMethod;
+  }
+
+  // Only GPG and SSH need local key material, API commits are signed by GitHub
+  get usesLocalKey() {
+    return this.method === 'gpg' || this.method === 'ssh';
+  }
+
+  async setup() {
+    if (!this.usesLocalKey) {
+      return { configured: false, reason: `Signing method ${this.method} needs no key` };
+    }
+
+    // A reused checkout, e.g. on a self-hosted runner, may sign with its own key, which cleanup puts back
+    for (const key of SIGNING_CONFIG_KEYS) {
+      this.previousConfig.set(key, await this.getGitConfig(key));
+    }
+
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-signing-'));
+
+    try {
+      const signingKey = this.method === 'gpg' ? await this.importGpgKey() : await this.writeSshKey();
+
+      await this.git(['config', '--local', 'gpg.format', this.method === 'gpg' ? 'openpgp' : 'ssh']);
+      await this.git(['config', '--local', 'user.signingkey', signingKey]);
+
+      core.info(`🔏 Tags and commits will be signed with ${this.method.toUpperCase()}`);
+      return { configured: true };
+    } catch (error) {
+      await this.cleanup();
+      throw new Error(`Failed to set up ${this.method.toUpperCase()} signing: ${error.message}`);
+    }
+  }
+
+  // git runs gpg with the runner's environment, so pointing GNUPGHOME at the temporary keyring is enough
+  async importGpgKey() {
+    this.previousGnupgHome = process.env.GNUPGHOME;
+    process.env.GNUPGHOME = this.directory;
+    fs.chmodSync(this.directory, 0o700);
+
+    // Any long gpg option can go in gpg.conf, which keeps the passphrase off the command line
+    const options = ['batch', 'pinentry-mode loopback'];
+    if (this.config.inputs.signingKeyPassphrase) {
+      const passphraseFile = path.join(this.directory, 'passphrase');
+      fs.writeFileSync(passphraseFile, this.config.inputs.signingKeyPassphrase, { mode: 0o600 });
+      options.push(`passphrase-file ${passphraseFile}`);
+    }
+    fs.writeFileSync(path.join(this.directory, 'gpg.conf'), `${options.join('\n')}\n`, { mode: 0o600 });
+
+    await this.run('gpg', ['--import'], { input: Buffer.from(this.config.inputs.signingKey) });
+
+    const { stdout } = await this.run('gpg', ['--with-colons', '--list-secret-keys']);
+    const fingerprint = stdout.split('\n').find(line => line.startsWith('fpr:'));
+    if (!fingerprint) {
+      throw new Error('the key does not contain a secret key');
+    }
+
+    return fingerprint.split(':')[9];
+  }
+
+  // git signs with `ssh-keygen -Y sign`, which cannot prompt, so an encrypted key is decrypted in its temporary copy.
+  // The old passphrase comes from an askpass helper reading a private file, never from the command line
+  async writeSshKey() {
+    const keyFile = path.join(this.directory, 'signing_key');
+    fs.writeFileSync(keyFile, `${this.config.inputs.signingKey.trim()}\n`, { mode: 0o600 });
+
+    if (this.config.inputs.signingKeyPassphrase) {
+      const passphraseFile = path.join(this.directory, 'passphrase');
+      const askpass = path.join(this.directory, 'askpass.sh');
+      fs.writeFileSync(passphraseFile, this.config.inputs.signingKeyPassphrase, { mode: 0o600 });
+      fs.writeFileSync(askpass, `#!/bin/sh\ncat '${passphraseFile.replace(/'/g, "'\\''")}'\n`, { mode: 0o700 });
+
+      try {
+        await this.run('ssh-keygen', ['-p', '-q', '-f', keyFile, '-N', ''], {
+          env: { ...process.env, SSH_ASKPASS: askpass, SSH_ASKPASS_REQUIRE: 'force' }
+        });
+      } finally {
+        fs.rmSync(passphraseFile, { force: true });
+      }
+    }
+
+    return keyFile;
+  }
+
+  async cleanup() {
+    if (!this.directory) return;
+
+    for (const [key, value] of this.previousConfig) {
+      await this.git(value === null ? ['config', '--local', '--unset', key] : ['config', '--local', key, value]);
+    }
+    this.previousConfig.clear();
+
+    if (this.method === 'gpg') {
+      await exec.exec('gpgconf', ['--kill', 'gpg-agent'], { silent: true, ignoreReturnCode: true }).catch(() => {});
+
+      if (this.previousGnupgHome === undefined) {
+        delete process.env.GNUPGHOME;
+      } else {
+        process.env.GNUPGHOME = this.previousGnupgHome;
+      }
+    }
+
+    try {
+      fs.rmSync(this.directory, { recursive: true, force: true });
+      core.debug('Removed the temporary signing keyring');
+    } catch (error) {
+      core.warning(`Failed to remove the temporary signing keyring: ${error.message}`);
+    }
+    this.directory = null;
+  }
+
+  // The checkout's own value of a config key, or null when it has none
+  async getGitConfig(key) {
+    try {
+      const { stdout } = await this.run('git', ['config', '--local', '--get', key]);
+      return stdout.trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async git(args) {
+    return exec.exec('git', args, { silent: true, ignoreReturnCode: true });
+  }
+
+  async run(command, args, extraOptions = {}) {
+    let stdout = '';
+    let stderr = '';
+    const exitCode = await exec.exec(command, args, {
+      listeners: {
+        stdout: (data) => {
+          stdout += data.toString();
+        },
+        stderr: (data) => {
+          stderr += data.toString();
+        }
+      },
+      silent: true,
+      ignoreReturnCode: true,
+      ...extraOptions
+    });
+
+    if (exitCode !== 0) {
+      throw new Error(stderr.trim() || `${command} exited with ${exitCode}`);
+    }
+
+    return { stdout };
+  }
+}
+
+module.exports = SigningKeyring;